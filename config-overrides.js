@@ -1,6 +1,34 @@
+const fs = require('fs');
+const path = require('path');
 const CompressionPlugin = require('compression-webpack-plugin');
 
+// DRACO decoder shipped with three (WASM + JS fallback), served from our own origin
+const DRACO_DIR = path.dirname(require.resolve('three/examples/jsm/libs/draco/gltf/draco_decoder.js'));
+const DRACO_FILES = ['draco_decoder.js', 'draco_decoder.wasm', 'draco_wasm_wrapper.js'];
+
+// Emits the decoder into the output as draco/gltf/* (build folder and dev server alike)
+class DracoDecoderPlugin {
+  apply(compiler) {
+    const { Compilation, sources } = compiler.webpack;
+    compiler.hooks.thisCompilation.tap('DracoDecoderPlugin', (compilation) => {
+      compilation.hooks.processAssets.tap(
+        { name: 'DracoDecoderPlugin', stage: Compilation.PROCESS_ASSETS_STAGE_ADDITIONAL },
+        () => {
+          for (const file of DRACO_FILES) {
+            const source = path.join(DRACO_DIR, file);
+            compilation.fileDependencies.add(source);
+            // already minified upstream; keep Terser away from the emscripten output
+            compilation.emitAsset(`draco/gltf/${file}`, new sources.RawSource(fs.readFileSync(source)), { minimized: true });
+          }
+        }
+      );
+    });
+  }
+}
+
 module.exports = function override(config, env) {
+  config.plugins.push(new DracoDecoderPlugin());
+
   // Add compression plugin for production builds
   if (env === 'production') {
     config.plugins.push(
@@ -14,6 +42,14 @@ module.exports = function override(config, env) {
     );
   }
 
+  // Markdown content (annotation copy) is bundled as plain text; it has to sit in CRA's
+  // oneOf list ahead of the catch-all file loader
+  const oneOf = config.module.rules.find((rule) => Array.isArray(rule.oneOf));
+  oneOf.oneOf.unshift({
+    test: /\.md$/,
+    type: 'asset/source',
+  });
+
   // Add support for .glb and .gltf files
   config.module.rules.push({
     test: /\.(glb|gltf)$/,
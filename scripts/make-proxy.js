@@ -0,0 +1,52 @@
+/**
+ * Builds public/Tent3-proxy.glb, the low-detail stand-in shown while the full tent streams
+ * in (TENT_PROXY_URL in src/components/constants.js), from public/Tent3.glb.
+ * - Keeps the node hierarchy, names and clips (no join / flatten / instance / palette /
+ *   prune) so the proxy animates and swaps like the full model.
+ * - Runs before every build (`prebuild`) and only rebuilds when the proxy is missing or
+ *   older than the source; `npm run make-proxy` (`--force`) always rebuilds.
+ */
+const fs = require("fs");
+const path = require("path");
+const { spawnSync } = require("child_process");
+
+const ROOT = path.join(__dirname, "..");
+const SOURCE = path.join(ROOT, "public", "Tent3.glb");
+const PROXY = path.join(ROOT, "public", "Tent3-proxy.glb");
+const CLI = path.join(ROOT, "node_modules", ".bin", "gltf-transform");
+const OPTIONS = [
+  "--compress", "draco",
+  "--simplify-ratio", "0.1",
+  "--simplify-error", "0.01",
+  "--texture-size", "512",
+  "--join", "false",
+  "--flatten", "false",
+  "--instance", "false",
+  "--palette", "false",
+  "--prune", "false",
+];
+
+function modified(file) {
+  return fs.existsSync(file) ? fs.statSync(file).mtimeMs : null;
+}
+
+const force = process.argv.includes("--force");
+const source = modified(SOURCE);
+const proxy = modified(PROXY);
+
+if (source === null) {
+  console.warn(`No ${path.relative(ROOT, SOURCE)}; skipping the proxy.`);
+  process.exit(force ? 1 : 0);
+}
+if (!force && proxy !== null && proxy >= source) {
+  console.log(`${path.relative(ROOT, PROXY)} is up to date.`);
+  process.exit(0);
+}
+
+console.log(`Building ${path.relative(ROOT, PROXY)} from ${path.relative(ROOT, SOURCE)}...`);
+const result = spawnSync(CLI, ["optimize", SOURCE, PROXY, ...OPTIONS], {
+  stdio: "inherit",
+  shell: process.platform === "win32", // .bin/gltf-transform is a .cmd shim on Windows
+});
+if (result.error) throw result.error;
+process.exit(result.status ?? 1);
@@ -0,0 +1,49 @@
+/**
+ * Writes public/models.json: a content hash per GLB under public/, e.g.
+ * { "/Tent3.glb": { "version": "…" } }. The browser's model cache (src/utils/modelCache.js)
+ * keys persisted models by it, so a changed file replaces the old copy.
+ * - Keyed by the model URL the app requests. The source .glb is hashed when it is there;
+ *   a deploy that only ships the .glb.gz / .glb.br variants gets a hash of those instead.
+ * Runs before every build (`prebuild`); `npm run model-versions` runs it on its own.
+ */
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const PUBLIC_DIR = path.join(__dirname, "..", "public");
+const MANIFEST = path.join(PUBLIC_DIR, "models.json");
+
+const MODEL = /\.glb(\.gz|\.br)?$/i;
+
+// model URL -> its files under public/: the source .glb and/or its compressed variants
+function findModels(dir, models = new Map()) {
+  fs.readdirSync(dir, { withFileTypes: true }).forEach((entry) => {
+    const file = path.join(dir, entry.name);
+    if (entry.isDirectory()) return findModels(file, models);
+    const match = entry.isFile() && entry.name.match(MODEL);
+    if (!match) return;
+    const rel = path.relative(PUBLIC_DIR, file).split(path.sep).join("/");
+    const url = "/" + (match[1] ? rel.slice(0, -match[1].length) : rel);
+    models.set(url, [...(models.get(url) || []), { file, source: !match[1] }]);
+  });
+  return models;
+}
+
+function contentHash(files) {
+  const hash = crypto.createHash("sha256");
+  files.forEach((file) => hash.update(fs.readFileSync(file)));
+  return hash.digest("hex").slice(0, 16);
+}
+
+const manifest = {};
+[...findModels(PUBLIC_DIR)]
+  .sort(([a], [b]) => a.localeCompare(b))
+  .forEach(([url, files]) => {
+    const source = files.find((f) => f.source);
+    const hashed = source ? [source.file] : files.map((f) => f.file).sort();
+    manifest[url] = { version: contentHash(hashed) };
+    console.log(`Model version: ${url} -> ${manifest[url].version}${source ? "" : " (from the compressed variants)"}`);
+  });
+
+fs.writeFileSync(MANIFEST, JSON.stringify(manifest, null, 2) + "\n");
+console.log(`Wrote ${path.relative(process.cwd(), MANIFEST)} (${Object.keys(manifest).length} models)`);
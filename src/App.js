@@ -1,11 +1,21 @@
 import React, { Suspense, useRef, useState } from "react";
 import { Canvas } from "@react-three/fiber";
-import { ContactShadows, Environment } from "@react-three/drei";
+import { ContactShadows } from "@react-three/drei";
 import { CameraRig } from "./components/CameraRig";
 import { SceneContent } from "./components/SceneContent";
 import { AnnotationSystem } from "./components/AnnotationSystem";
 import { AnnotationOverlays } from "./components/AnnotationOverlays";
 import { ScrollSections } from "./components/ScrollSections";
+import { ExploreHotspots } from "./components/ExploreHotspots";
+import { ExploreControls } from "./components/ExploreControls";
+import { ConfiguratorPanel } from "./components/ConfiguratorPanel";
+import { TruckFitment } from "./components/TruckFitment";
+import { MeasurementLayer } from "./components/MeasurementLayer";
+import { ExplodedView } from "./components/ExplodedView";
+import { Cutaway } from "./components/Cutaway";
+import { Lighting } from "./components/Lighting";
+import { LightingControls } from "./components/LightingControls";
+import { Weather } from "./components/Weather";
 import { CAMERAS } from "./components/constants";
 import * as THREE from "three";
 
@@ -17,8 +27,21 @@ import * as THREE from "three";
  * Orbit: rotate/zoom disabled; pan allowed.
  */
 
+const LOADING_STAGE_LABELS = {
+  download: "Downloading 3D Model",
+  decompress: "Decompressing Model",
+  parse: "Building Scene",
+  done: "Ready",
+};
+
+function formatMB(bytes) {
+  return (bytes / (1024 * 1024)).toFixed(1);
+}
+
 export default function App() {
   const [isLoading, setIsLoading] = useState(true);
+  const [loadProgress, setLoadProgress] = useState(null);
+  const [detailProgress, setDetailProgress] = useState(null);
   const rigRef = useRef({ camera: null, controls: null, defaultPos: null, defaultTarget: new THREE.Vector3(0, 0, 0) });
 
   const handleResetCamera = () => {
@@ -81,18 +104,45 @@ export default function App() {
 
               {/* Progress Section */}
               <div className="space-y-3 max-w-sm mx-auto">
-                {/* Loading text */}
+                {/* Loading text: current stage */}
                 <div className="text-slate-300 text-lg font-semibold">
-                  <span className="inline-block">Loading 3D Model</span>
+                  <span className="inline-block">{LOADING_STAGE_LABELS[loadProgress?.stage] || "Loading 3D Model"}</span>
                   <span className="inline-block animate-pulse ml-1">.</span>
                   <span className="inline-block animate-pulse ml-0.5" style={{animationDelay: '0.2s'}}>.</span>
                   <span className="inline-block animate-pulse ml-0.5" style={{animationDelay: '0.4s'}}>.</span>
                 </div>
                 
-                {/* Simple progress bar */}
-                <div className="relative w-full h-1 bg-slate-800 rounded-full overflow-hidden">
-                  <div className="absolute inset-0 bg-white rounded-full animate-[loading_2s_ease-in-out_infinite] opacity-80"></div>
+                {/* Progress bar: real percentage once known, indeterminate before that */}
+                <div
+                  className="relative w-full h-1 bg-slate-800 rounded-full overflow-hidden"
+                  role="progressbar"
+                  aria-valuemin={0}
+                  aria-valuemax={100}
+                  aria-valuenow={loadProgress?.percent ?? undefined}
+                >
+                  {loadProgress && (loadProgress.total > 0 || loadProgress.stage !== "download") ? (
+                    <div
+                      className="absolute inset-y-0 left-0 bg-white rounded-full opacity-80 transition-[width] duration-200 ease-out"
+                      style={{ width: `${loadProgress.percent}%` }}
+                    ></div>
+                  ) : (
+                    <div className="absolute inset-0 bg-white rounded-full animate-[loading_2s_ease-in-out_infinite] opacity-80"></div>
+                  )}
                 </div>
+
+                {/* Percentage + bytes received */}
+                {loadProgress && (
+                  <div className="flex justify-between text-xs text-slate-500 font-medium tabular-nums">
+                    <span>
+                      {loadProgress.stage === "download" && loadProgress.loaded > 0
+                        ? loadProgress.total > 0
+                          ? `${formatMB(loadProgress.loaded)} / ${formatMB(loadProgress.total)} MB`
+                          : `${formatMB(loadProgress.loaded)} MB`
+                        : ""}
+                    </span>
+                    <span>{loadProgress.total > 0 || loadProgress.stage !== "download" ? `${loadProgress.percent}%` : ""}</span>
+                  </div>
+                )}
                 
               </div>
 
@@ -109,9 +159,18 @@ export default function App() {
           </div>
         )}
 
+        {/* Full-detail model streaming in behind the proxy */}
+        {!isLoading && detailProgress && (
+          <div className="absolute bottom-4 left-4 z-10 flex items-center gap-2 rounded-xl border border-slate-800/80 bg-black/40 px-3 py-2 text-xs text-slate-300">
+            <span className="inline-block w-2 h-2 rounded-full bg-white animate-pulse"></span>
+            <span>Loading full detail{detailProgress.total > 0 ? ` ${detailProgress.percent}%` : ""}</span>
+          </div>
+        )}
+
         <Canvas 
           shadows 
           camera={{ fov: 45, near: 0.1, far: 200, position: CAMERAS.idle.position.toArray() }}
+          gl={{ stencil: true }} // cutaway caps
           style={{ 
             touchAction: 'none',
             pointerEvents: 'none',
@@ -124,14 +183,21 @@ export default function App() {
         >
           <Suspense fallback={null}>
             <CameraRig rigRef={rigRef} initialTarget={CAMERAS.idle.target} />
-            <Environment preset="city" background={false} />
-            <ambientLight intensity={0.3} />
-            <directionalLight castShadow intensity={1.1} position={[5, 6, 3]} shadow-mapSize={[2048, 2048]} />
-            <hemisphereLight intensity={0.2} groundColor="#444444" />
+            {/* day / dusk / night presets (src/data/lighting.json) */}
+            <Lighting />
             <ContactShadows position={[0, -0.001, 0]} opacity={0.7} scale={20} blur={2.5} far={20} />
-            <SceneContent onCenter={handleCenter} onLoadingComplete={handleLoadingComplete} />
+            {/* the camper sits in the selected truck's bed */}
+            <TruckFitment>
+              <SceneContent onCenter={handleCenter} onLoadingComplete={handleLoadingComplete} onLoadingProgress={setLoadProgress} onDetailProgress={setDetailProgress} />
+            </TruckFitment>
             {/* 3D Annotations System */}
             <AnnotationSystem />
+            <ExploreHotspots />
+            <MeasurementLayer />
+            <ExplodedView />
+            <Cutaway />
+            {/* rain / snow / debris and roof snow (src/data/weather.json) */}
+            <Weather />
           </Suspense>
         </Canvas>
       </div>
@@ -139,6 +205,10 @@ export default function App() {
       {/* 2D Annotation Overlays */}
       <AnnotationOverlays />
       <ScrollSections />
+      {!isLoading && <ExploreControls />}
+      {!isLoading && <LightingControls />}
+      {/* mounted from the start so it sees the first scene publish */}
+      <ConfiguratorPanel hidden={isLoading} />
     </div>
   );
 }
@@ -1,179 +1,153 @@
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useRef, useCallback } from "react";
+import ReactMarkdown from "react-markdown";
+import remarkGfm from "remark-gfm";
+import { layoutAnnotationCards } from "../utils/annotationLayout";
+import { exploreStore } from "../utils/exploreStore";
+import { useStore } from "../hooks/useStore";
+
+const DEFAULT_CARD_HEIGHT = 140; // until a card has been measured
+const VIDEO_SRC = /\.(mp4|webm)(\?.*)?$/i;
+
+// Markdown elements styled for the dark annotation cards
+const MARKDOWN_COMPONENTS = {
+  h1: ({ node, children, ...props }) => <h3 className="text-base font-semibold text-white mt-3 mb-1" {...props}>{children}</h3>,
+  h2: ({ node, children, ...props }) => <h3 className="text-base font-semibold text-white mt-3 mb-1" {...props}>{children}</h3>,
+  h3: ({ node, children, ...props }) => <h4 className="text-sm font-semibold text-white mt-2 mb-1" {...props}>{children}</h4>,
+  p: ({ node, ...props }) => <p className="text-sm text-slate-300 leading-relaxed mb-2" {...props} />,
+  ul: ({ node, ...props }) => <ul className="text-sm text-slate-300 leading-relaxed ml-3 mb-2 space-y-1 list-disc list-outside pl-2 marker:text-white" {...props} />,
+  ol: ({ node, ...props }) => <ol className="text-sm text-slate-300 leading-relaxed ml-3 mb-2 space-y-1 list-decimal list-outside pl-2" {...props} />,
+  a: ({ node, children, ...props }) => <a className="pointer-events-auto underline text-white hover:text-slate-300" target="_blank" rel="noopener noreferrer" {...props}>{children}</a>,
+  table: ({ node, ...props }) => <table className="w-full text-sm text-slate-300 my-2 border-collapse" {...props} />,
+  th: ({ node, ...props }) => <th className="text-left font-semibold text-white border-b border-white/30 py-1 pr-2" {...props} />,
+  td: ({ node, ...props }) => <td className="border-b border-white/10 py-1 pr-2" {...props} />,
+  // images, or short muted loops for .mp4/.webm sources
+  img: ({ node, src, alt, ...props }) => (VIDEO_SRC.test(src || "")
+    ? <video className="w-full rounded-lg my-2" src={src} aria-label={alt} autoPlay loop muted playsInline />
+    : <img className="w-full rounded-lg my-2" src={src} alt={alt} loading="lazy" {...props} />),
+};
 
 /**
  * 2D Annotation Overlays - renders arrows and text based on 3D positions
+ * - Cards are placed by the layout solver (annotationLayout.js) from their measured heights,
+ *   the viewport size and the projected model bounds.
  */
 export function AnnotationOverlays() {
   const [annotations, setAnnotations] = useState([]);
-  const [currentSection, setCurrentSection] = useState(0);
-
-  // Function to parse description text and convert bullet points to JSX
-  const parseDescription = (description) => {
-    if (!description) return null;
+  const [sectionConfig, setSectionConfig] = useState(null);
+  const [modelRect, setModelRect] = useState(null);
+  const [viewport, setViewport] = useState(() => ({ width: window.innerWidth, height: window.innerHeight }));
+  const [cardHeights, setCardHeights] = useState({});
+  const { active: exploring } = useStore(exploreStore);
+  const sidesRef = useRef({}); // last side per annotation id (keeps cards from flipping)
+  const observerRef = useRef(null);
+  const cardRefs = useRef(new Map()); // id -> stable ref callback
 
-    // Split by lines and check if any line starts with bullet point indicators
-    const lines = description.split('\n');
-    const bulletLines = [];
-    const textLines = [];
-    
-    let currentBulletGroup = [];
-    let hasBullets = false;
-
-    lines.forEach((line, index) => {
-      const trimmedLine = line.trim();
-      // Check for bullet point indicators: •, *, -, or numbered lists
-      if (trimmedLine.match(/^[•*-]\s+/) || trimmedLine.match(/^\d+\.\s+/)) {
-        hasBullets = true;
-        // If we have accumulated text lines, process them first
-        if (textLines.length > 0) {
-          bulletLines.push({
-            type: 'text',
-            content: textLines.join(' '),
-            key: `text-${index}`
-          });
-          textLines.length = 0;
-        }
-        
-        // Add to current bullet group
-        const bulletText = trimmedLine.replace(/^[•*-]\s+/, '').replace(/^\d+\.\s+/, '');
-        currentBulletGroup.push(bulletText);
-      } else if (trimmedLine) {
-        // If we have accumulated bullets, close the group
-        if (currentBulletGroup.length > 0) {
-          bulletLines.push({
-            type: 'bullets',
-            content: [...currentBulletGroup],
-            key: `bullets-${index}`
-          });
-          currentBulletGroup.length = 0;
-        }
-        textLines.push(trimmedLine);
+  // Measure card heights as their content renders or reflows
+  const measureCard = useCallback((id) => {
+    if (cardRefs.current.has(id)) return cardRefs.current.get(id);
+    let current = null;
+    const ref = (el) => {
+      if (current) observerRef.current.unobserve(current);
+      current = el;
+      if (el) {
+        el.dataset.annotationId = id;
+        observerRef.current.observe(el);
       }
-    });
-
-    // Process any remaining content
-    if (currentBulletGroup.length > 0) {
-      bulletLines.push({
-        type: 'bullets',
-        content: [...currentBulletGroup],
-        key: `bullets-final`
-      });
-    }
-    if (textLines.length > 0) {
-      bulletLines.push({
-        type: 'text',
-        content: textLines.join(' '),
-        key: `text-final`
+    };
+    if (!observerRef.current) {
+      observerRef.current = new ResizeObserver((entries) => {
+        setCardHeights((prev) => {
+          let next = prev;
+          entries.forEach(({ target }) => {
+            const height = target.offsetHeight;
+            if (prev[target.dataset.annotationId] !== height) {
+              next = next === prev ? { ...prev } : next;
+              next[target.dataset.annotationId] = height;
+            }
+          });
+          return next;
+        });
       });
     }
+    cardRefs.current.set(id, ref);
+    return ref;
+  }, []);
 
-    // If no special formatting was found, return as regular text
-    if (!hasBullets) {
-      return (
-        <div className="text-sm text-slate-300 leading-relaxed">
-          {description}
-        </div>
-      );
-    }
-
-    // Render the parsed content
-    return (
-      <div className="space-y-2">
-        {bulletLines.map((item) => {
-          if (item.type === 'text') {
-            return (
-              <div key={item.key} className="text-sm text-slate-300 leading-relaxed">
-                {item.content}
-              </div>
-            );
-          } else if (item.type === 'bullets') {
-            return (
-              <ul key={item.key} className="text-sm text-slate-300 leading-relaxed ml-3 space-y-1">
-                {item.content.map((bullet, idx) => (
-                  <li key={`${item.key}-${idx}`} className="flex items-start">
-                    <span className="text-white mr-2 mt-0.5">•</span>
-                    <span>{bullet}</span>
-                  </li>
-                ))}
-              </ul>
-            );
-          }
-          return null;
-        })}
-      </div>
-    );
-  };
+  useEffect(() => () => observerRef.current?.disconnect(), []);
 
   useEffect(() => {
     const onUpdateAnnotations = (e) => {
-      const { annotations: newAnnotations } = e.detail || {};
+      const { annotations: newAnnotations, modelRect: rect } = e.detail || {};
       setAnnotations(newAnnotations || []);
+      setModelRect(rect || null);
     };
+    const onResize = () => setViewport({ width: window.innerWidth, height: window.innerHeight });
 
     const onSectionChange = (e) => {
-      const { section } = e.detail || {};
-      setCurrentSection(section);
+      const { config } = e.detail || {};
+      setSectionConfig(config || null);
     };
 
     if (typeof window !== "undefined" && window.addEventListener) {
       window.addEventListener("updateAnnotations", onUpdateAnnotations);
       window.addEventListener("sectionChange", onSectionChange);
+      window.addEventListener("resize", onResize);
       return () => {
         window.removeEventListener("updateAnnotations", onUpdateAnnotations);
         window.removeEventListener("sectionChange", onSectionChange);
+        window.removeEventListener("resize", onResize);
       };
     }
   }, []);
 
-  // Hide annotations in sections 7 and 8
-  if (currentSection === 7 || currentSection === 8) {
+  // Hide annotations in sections that opt out (flythrough, return/close), unless exploring
+  if (sectionConfig?.annotations === false && !exploring) {
     return null;
   }
 
+  const shown = annotations.filter((annotation) => annotation.visible && annotation.screenPosition);
+  const clampPoint = ({ x, y }) => ({
+    x: Math.max(10, Math.min(viewport.width - 10, x)),
+    y: Math.max(10, Math.min(viewport.height - 10, y)),
+  });
+  const layout = layoutAnnotationCards(
+    shown.map((annotation) => ({
+      id: annotation.id,
+      ...clampPoint(annotation.screenPosition),
+      height: cardHeights[annotation.id] ?? DEFAULT_CARD_HEIGHT,
+      prefer: annotation.position,
+    })),
+    { width: viewport.width, height: viewport.height, avoid: modelRect, previous: sidesRef.current }
+  );
+  sidesRef.current = Object.fromEntries(Object.entries(layout).map(([id, card]) => [id, card.side]));
+
   return (
     <div className="fixed inset-0 pointer-events-none z-15">
-      {annotations.map((annotation, index) => {
-        if (!annotation.visible || !annotation.screenPosition) return null;
+      {shown.map((annotation) => {
+        const card = layout[annotation.id];
+        if (!card) return null;
 
-        const { x, y } = annotation.screenPosition;
-        
         // Ensure coordinates are within screen bounds
-        const clampedX = Math.max(10, Math.min(window.innerWidth - 10, x));
-        const clampedY = Math.max(10, Math.min(window.innerHeight - 10, y));
-        
-        // Position text blocks on the left or right side of the screen
-        const isLeftSide = clampedX < window.innerWidth / 2;
-        const textBlockX = isLeftSide ? 20 : window.innerWidth - 320; // 20px from edge, 300px width + 20px margin
-        
-        // Detect if we're on mobile device
-        const isMobile = window.innerWidth <= 768; // Standard mobile breakpoint
-        
-        // Position text blocks at top or bottom based on device type
-        let textBlockY;
-        const annotationHeight = 140; // Approximate height of annotation card
-        const marginFromEdge = 20;
-        
-        if (isMobile && annotation.position === "bottom") {
-          // On mobile: use bottom positioning if specified
-          const bottomPositions = annotations.filter(ann => ann.position === "bottom");
-          const bottomIndex = bottomPositions.indexOf(annotation);
-          textBlockY = window.innerHeight - marginFromEdge - annotationHeight - (bottomIndex * 160);
-        } else if (isMobile && annotation.position === "top") {
-          // On mobile: use top positioning if specified
-          const topPositions = annotations.filter(ann => ann.position === "top");
-          const topIndex = topPositions.indexOf(annotation);
-          textBlockY = marginFromEdge + (topIndex * 160);
-        } else {
-          // On desktop: always position from top down regardless of annotation.position
-          textBlockY = marginFromEdge + (index * 160);
-        }
-        
-        // Calculate line coordinates more precisely
-        const lineStartX = isLeftSide ? textBlockX + 300 : textBlockX; // Start from edge of text block
-        const lineStartY = textBlockY + 60; // Middle of text block height
+        const { x: clampedX, y: clampedY } = clampPoint(annotation.screenPosition);
+
+        // Leader line from the card edge nearest the anchor
+        const lineStartX = card.line.x;
+        const lineStartY = card.line.y;
         const lineEndX = clampedX;
         const lineEndY = clampedY;
 
+        // Connection dot sits on the card edge the line leaves from
+        const dotStyle = {
+          left: { right: -6, top: '50%', transform: 'translateY(-50%)' },
+          right: { left: -6, top: '50%', transform: 'translateY(-50%)' },
+          top: { bottom: -6, left: lineStartX - card.left - 6 },
+          bottom: { top: -6, left: lineStartX - card.left - 6 },
+        }[card.side];
+
+        // Hidden behind the tent or off-screen: fade the leader line and target dot
+        const markerOpacity = annotation.occluded || annotation.onScreen === false ? 0.15 : 1;
+        const markerFade = { opacity: markerOpacity, transition: "opacity 200ms ease-out" };
+
         return (
           <div key={annotation.id} className="absolute inset-0">
             {/* Connection line - ensure it spans the full container */}
@@ -215,7 +189,7 @@ export function AnnotationOverlays() {
                 strokeWidth="2"
                 strokeDasharray="5,5"
                 markerEnd={`url(#arrowhead-${annotation.id})`}
-                opacity="0.9"
+                style={{ ...markerFade, opacity: 0.9 * markerOpacity }}
               />
               
               {/* Debug: Add circles at line endpoints to verify positioning */}
@@ -231,16 +205,18 @@ export function AnnotationOverlays() {
                 cy={lineEndY}
                 r="3"
                 fill="#ff0000"
-                opacity="0.7"
+                style={{ ...markerFade, opacity: 0.7 * markerOpacity }}
               />
             </svg>
 
-            {/* Text block positioned on side */}
+            {/* Text block placed by the layout solver */}
             <div
-              className="absolute bg-black/99 backdrop-blur-md border border-white/30 rounded-xl p-4 text-white w-80 shadow-2xl"
+              ref={measureCard(annotation.id)}
+              className="absolute bg-black/99 backdrop-blur-md border border-white/30 rounded-xl p-4 text-white shadow-2xl"
               style={{
-                left: textBlockX,
-                top: textBlockY,
+                left: card.left,
+                top: card.top,
+                width: card.width,
                 zIndex: 15
               }}
             >
@@ -248,17 +224,25 @@ export function AnnotationOverlays() {
                 {annotation.text}
               </div>
               <div className="mb-3">
-                {parseDescription(annotation.description)}
+                <ReactMarkdown remarkPlugins={[remarkGfm]} components={MARKDOWN_COMPONENTS}>
+                  {annotation.body || ""}
+                </ReactMarkdown>
+                {annotation.learnMore && (
+                  <a
+                    href={annotation.learnMore.href}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    className="pointer-events-auto inline-block mt-1 rounded-lg border border-white/30 px-3 py-1 text-xs font-semibold text-white hover:bg-white/10"
+                  >
+                    {annotation.learnMore.label} →
+                  </a>
+                )}
               </div>
               
               {/* Connection indicator dot */}
               <div 
                 className="absolute w-3 h-3 bg-white rounded-full border-2 border-black"
-                style={{
-                  [isLeftSide ? 'right' : 'left']: -6,
-                  top: '50%',
-                  transform: 'translateY(-50%)'
-                }}
+                style={dotStyle}
               />
             </div>
 
@@ -268,7 +252,8 @@ export function AnnotationOverlays() {
               style={{
                 left: clampedX - 8,
                 top: clampedY - 8,
-                zIndex: 20
+                zIndex: 20,
+                ...markerFade
               }}
             />
           </div>
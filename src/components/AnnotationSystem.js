@@ -2,30 +2,42 @@ import React, { useRef, useEffect, useState } from "react";
 import { useThree, useFrame } from "@react-three/fiber";
 import * as THREE from "three";
 import { animationsBridge } from "../utils/animationsBridge";
+import { anchorWorldPosition } from "../utils/anchors";
+import { createOcclusionTester } from "../utils/occlusion";
+import { annotationRegistry, hotspots } from "../utils/annotationContent";
+import { exploreStore } from "../utils/exploreStore";
 
 /**
  * 3D Annotation System - tracks 3D object positions and publishes to 2D overlay
+ * - Targets and copy come from the content registry (src/data/annotations/*.md).
+ * - Annotations are anchored to the live Object3D and re-evaluated every frame, so they
+ *   follow panels while clips animate them. Targets may set `anchor` / `offset` (see anchors.js).
+ * - Anchors hidden behind the tent are rerouted to the nearest visible point of the part, or
+ *   published as `occluded` so the overlay fades them (target `occlusion`, see occlusion.js).
  */
 export function AnnotationSystem() {
   const groupRef = useRef(null);
   const { camera } = useThree();
   const [annotations, setAnnotations] = useState([]);
+  const occlusionRef = useRef(null);
+  if (!occlusionRef.current) occlusionRef.current = createOcclusionTester();
+  const boundsRef = useRef({ box: new THREE.Box3(), corner: new THREE.Vector3() });
 
-  // Define annotation targets for each section
-  // Note: position property only affects mobile devices (<=768px width)
-  // On desktop, all annotations are positioned from top regardless of position setting
-  const annotationTargets = {
-    1: [{ objectName: "Plane009", text: "Hard Shell Pop-Up Canopy", description: "* Solid ⅛\" formed aluminum sheet roof \n* Quick pop-up with trigger pull \n* Internal secure latch system (no exterior latches) \n* 96\" sleeping area, 101\" overall length ", position: "bottom" }],
-    2: [{ objectName: "Point", text: "Four Season Tent", description: "* 3 zippered windows & doors (2 side, 1 rear) \n* Removable tent fabric \n* Interior LED lighting \n* Suede padded headliner with 1\" foam insulation in ceiling.", position: "bottom" }],
-    3: [{ objectName: "Plane005", text: "Mattress", description: " * 2\" foam mattress with cover \n * Anti-condensation mat", position: "bottom" }],
-    4: [{ objectName: "Plane008", text: "Pass-Through Access", description: "* Tilt-up bed panels for full truck bed use\n * Full standing room inside", position: "bottom" }],
-    5: [{ objectName: "Plane015", text: "Side Hatches", description: "* Compression lock system \n * 3.5\" expanded sides for storage of gear & accessories on optional MOLLE panel system (no loss of interior space)", position: "bottom" }],
-    6: [{ 
-      objectName: "Plane003", 
-      text: "Rear Hatch", 
-      description: "* Compression lock system \n * Tinted rear acrylic window",
-      position: "bottom"
-    }]
+  // Screen rect of the model (px), so overlay cards can keep clear of it
+  const projectModelRect = () => {
+    const { box, corner } = boundsRef.current;
+    if (!groupRef.current || box.setFromObject(groupRef.current).isEmpty()) return null;
+    const rect = { left: Infinity, top: Infinity, right: -Infinity, bottom: -Infinity };
+    for (let i = 0; i < 8; i++) {
+      corner.set(i & 1 ? box.max.x : box.min.x, i & 2 ? box.max.y : box.min.y, i & 4 ? box.max.z : box.min.z).project(camera);
+      const x = (corner.x * 0.5 + 0.5) * window.innerWidth;
+      const y = (corner.y * -0.5 + 0.5) * window.innerHeight;
+      rect.left = Math.min(rect.left, x);
+      rect.right = Math.max(rect.right, x);
+      rect.top = Math.min(rect.top, y);
+      rect.bottom = Math.max(rect.bottom, y);
+    }
+    return rect;
   };
 
   // Subscribe to scene group updates
@@ -36,12 +48,11 @@ export function AnnotationSystem() {
     return unsub;
   }, []);
 
-  // Listen for section changes to update annotations
+  // Listen for section changes (or the explore-mode selection) to update annotations
   useEffect(() => {
-    const onSectionChange = (e) => {
-      const { section } = e.detail || {};
-      const targets = annotationTargets[section] || [];
-      
+    let sectionTargets = { key: null, targets: [] };
+
+    const showTargets = (key, targets) => {
       if (targets.length > 0 && groupRef.current) {
         const newAnnotations = targets.map((target, index) => {
           // Find the target object in the scene
@@ -53,15 +64,17 @@ export function AnnotationSystem() {
           });
 
           if (targetObject) {
-            // Get world position of the target object
-            const worldPos = new THREE.Vector3();
-            targetObject.getWorldPosition(worldPos);
-            
+            // Keep the live object; its anchor is re-evaluated every frame
+            const anchor = { anchor: target.anchor, offset: target.offset };
             return {
-              id: `${section}-${index}`,
-              worldPosition: worldPos,
+              id: `${key}-${index}`,
+              object: targetObject,
+              anchor,
+              occlusion: target.occlusion ?? "reroute",
+              worldPosition: anchorWorldPosition(targetObject, anchor),
               text: target.text,
-              description: target.description,
+              body: target.body,
+              learnMore: target.learnMore,
               objectName: target.objectName,
               position: target.position
             };
@@ -69,22 +82,53 @@ export function AnnotationSystem() {
           return null;
         }).filter(Boolean);
 
+        occlusionRef.current.reset();
         setAnnotations(newAnnotations);
       } else {
         setAnnotations([]);
+        window.dispatchEvent(new CustomEvent("updateAnnotations", { detail: { annotations: [] } }));
       }
     };
 
+    const onSectionChange = (e) => {
+      const { section, id } = e.detail || {};
+      sectionTargets = { key: section, targets: annotationRegistry[id] || [] };
+      if (!exploreStore.get().active) showTargets(sectionTargets.key, sectionTargets.targets);
+    };
+
+    // explore mode shows only the selected hotspot's card; leaving it restores the section's
+    let shownSelection = { active: false, selected: null };
+    const unsubExplore = exploreStore.subscribe(({ active, selected }) => {
+      if (active === shownSelection.active && selected === shownSelection.selected) return; // hover only
+      shownSelection = { active, selected };
+      if (!active) showTargets(sectionTargets.key, sectionTargets.targets);
+      else showTargets(`explore-${selected}`, hotspots.filter((h) => h.id === selected));
+    });
+
     if (typeof window !== "undefined" && window.addEventListener) {
       window.addEventListener("sectionChange", onSectionChange);
-      return () => window.removeEventListener("sectionChange", onSectionChange);
+      return () => {
+        window.removeEventListener("sectionChange", onSectionChange);
+        unsubExplore();
+      };
     }
+    return unsubExplore;
   }, []);
 
   // Update 2D positions every frame
   useFrame(() => {
     if (annotations.length > 0 && camera) {
       const updatedAnnotations = annotations.map(annotation => {
+        // Follow the part as clips move it (or the visible point it was rerouted to)
+        const { occluded, anchor } = occlusionRef.current.update(annotation.id, {
+          camera,
+          root: groupRef.current,
+          object: annotation.object,
+          anchor: annotation.anchor,
+          mode: annotation.occlusion,
+        });
+        anchorWorldPosition(annotation.object, anchor, annotation.worldPosition);
+
         // Project 3D world position to 2D screen coordinates
         const screenPos = annotation.worldPosition.clone().project(camera);
         
@@ -96,13 +140,15 @@ export function AnnotationSystem() {
         return {
           ...annotation,
           screenPosition: { x, y, z },
-          visible: z < 1 && z > -1 // Only show if not behind camera
+          visible: z < 1 && z > -1, // Only show if not behind camera
+          onScreen: Math.abs(screenPos.x) <= 1 && Math.abs(screenPos.y) <= 1,
+          occluded,
         };
       });
 
       // Publish screen positions to 2D overlay
       window.dispatchEvent(new CustomEvent("updateAnnotations", { 
-        detail: { annotations: updatedAnnotations } 
+        detail: { annotations: updatedAnnotations, modelRect: projectModelRect() } 
       }));
     }
   });
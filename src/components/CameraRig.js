@@ -1,28 +1,76 @@
-import React, { useRef, useEffect } from "react";
+import React, { useRef, useEffect, useMemo } from "react";
 import { useThree, useFrame } from "@react-three/fiber";
 import { OrbitControls } from "@react-three/drei";
 import * as THREE from "three";
-import { CAMERA_SMOOTH_DEFAULT } from "./constants";
+import { CAMERA_SMOOTH_DEFAULT, ORBIT } from "./constants";
+import { exploreStore } from "../utils/exploreStore";
+import { fitmentStore, frameOrbit, framePose } from "../utils/fitment";
+import { EASINGS } from "../utils/easing";
+import { useStore } from "../hooks/useStore";
+
+const ORBIT_MOUSE = { LEFT: THREE.MOUSE.ROTATE, MIDDLE: THREE.MOUSE.DOLLY };
+const ORBIT_TOUCH = { ONE: THREE.TOUCH.ROTATE, TWO: THREE.TOUCH.DOLLY_ROTATE };
+const TOUR_LIMITS = { minDistance: 0, maxDistance: Infinity, minPolarAngle: 0, maxPolarAngle: Math.PI };
 
 /**
  * Rig: now uses spring-like exponential smoothing for camera position and target.
  * - Every `setCameraPose` just updates desired pose; the rig eases toward it over time.
  * - `duration` on the event maps to a smoothing time-constant (≈time to reach ~95%).
+ * - `follow` poses (spline paths) are tracked exactly after a one-off eased blend of
+ *   `duration` seconds from wherever the camera was (an `immediate` one starts on the path).
+ * - Free orbit (exploreStore `orbit`): the camera eases inside the ORBIT limits, then the
+ *   user drives OrbitControls and desired poses are ignored. Leaving hands the camera back
+ *   to the tour: the rig eases from wherever the user left it to the tour's pose.
+ * - Poses are authored around the camper on the ground; each one is framed for the current
+ *   truck fitment (utils/fitment.js) and re-framed when the truck changes. `fit: false` on
+ *   the event keeps a close-up's framing (it is only lifted with the camper).
  */
 export function CameraRig({ rigRef, initialTarget = new THREE.Vector3(0, 0, 0) }) {
   const { camera } = useThree();
   const controls = useRef();
+  const { orbit } = useStore(exploreStore);
+  const { framing } = useStore(fitmentStore);
+  const orbitFrame = useMemo(() => frameOrbit(ORBIT, framing), [framing]);
 
   const state = useRef({
     desiredPos: new THREE.Vector3(),
     desiredTarget: initialTarget.clone(),
+    raw: null, // { position, target, fit } last requested pose, before fitment framing
     tau: CAMERA_SMOOTH_DEFAULT, // time-constant (seconds)
+    follow: null, // { fromPos, fromTarget, start, duration } while tracking a path
+    orbitBlend: null, // { fromPos, toPos, fromTarget, start } while easing into free orbit
   });
 
+  // Entering free orbit: ease from the current pose to the nearest pose inside the limits
+  useEffect(() => {
+    const c = controls.current;
+    const rig = state.current;
+    if (!orbit || !c) return;
+    const offset = new THREE.Spherical().setFromVector3(camera.position.clone().sub(orbitFrame.target));
+    offset.radius = THREE.MathUtils.clamp(offset.radius, orbitFrame.minDistance, orbitFrame.maxDistance);
+    offset.phi = THREE.MathUtils.clamp(offset.phi, ORBIT.minPolarAngle, ORBIT.maxPolarAngle);
+    rig.follow = null;
+    c.enabled = false; // no input until the blend lands
+    rig.orbitBlend = {
+      fromPos: camera.position.clone(),
+      toPos: new THREE.Vector3().setFromSpherical(offset).add(orbitFrame.target),
+      fromTarget: c.target.clone(),
+      toTarget: orbitFrame.target,
+      start: performance.now(),
+    };
+    return () => {
+      // the desired pose still holds the tour pose; the rig eases back to it from wherever
+      // the user left the camera (or to whatever the tour queues next)
+      rig.orbitBlend = null;
+      c.enabled = true;
+    };
+  }, [orbit, camera, orbitFrame]);
+
   useEffect(() => {
     // Initialize desired to the camera's starting pose
     state.current.desiredPos.copy(camera.position);
     state.current.desiredTarget.copy(initialTarget);
+    state.current.raw = { position: camera.position.clone(), target: initialTarget.clone(), fit: true };
     if (controls.current) {
       controls.current.target.copy(initialTarget);
       controls.current.update();
@@ -39,12 +87,32 @@ export function CameraRig({ rigRef, initialTarget = new THREE.Vector3(0, 0, 0) }
 
   useEffect(() => {
     const onSetPose = (e) => {
-      const { position, target, immediate, duration = 3.0 } = e.detail || {};
+      const { position, target, immediate, follow, fit = true, duration = 3.0 } = e.detail || {};
       if (!controls.current) return;
+      // user input owns the camera in free orbit
+      if (exploreStore.get().orbit) return;
+      if (!Array.isArray(position) || !Array.isArray(target)) return;
 
-      const pos = Array.isArray(position) ? new THREE.Vector3().fromArray(position) : null;
-      const tar = Array.isArray(target) ? new THREE.Vector3().fromArray(target) : null;
-      if (!pos || !tar) return;
+      const raw = { position: new THREE.Vector3().fromArray(position), target: new THREE.Vector3().fromArray(target), fit };
+      state.current.raw = raw;
+      const { position: pos, target: tar } = framePose(raw.position, raw.target, fitmentStore.get().framing, raw);
+
+      if (follow) {
+        // keep the blend origin from the first follow pose; later ones only move the goal.
+        // An immediate one (a deep link into the path) starts on the path, already blended in.
+        if (!state.current.follow || immediate) {
+          state.current.follow = {
+            fromPos: immediate ? pos.clone() : camera.position.clone(),
+            fromTarget: immediate ? tar.clone() : controls.current.target.clone(),
+            start: performance.now(),
+            duration: immediate ? 0.001 : Math.max(0.001, duration),
+          };
+        }
+        state.current.desiredPos.copy(pos);
+        state.current.desiredTarget.copy(tar);
+        return;
+      }
+      state.current.follow = null;
 
       if (immediate) {
         camera.position.copy(pos);
@@ -68,8 +136,50 @@ export function CameraRig({ rigRef, initialTarget = new THREE.Vector3(0, 0, 0) }
     }
   }, [camera]);
 
+  // A new truck (or none) re-frames the current pose; the rig eases to it like any other pose
+  useEffect(() => {
+    let last = fitmentStore.get().framing;
+    return fitmentStore.subscribe(({ framing: next }) => {
+      if (next === last) return;
+      last = next;
+      const raw = state.current.raw;
+      if (!raw) return;
+      const { position, target } = framePose(raw.position, raw.target, next, raw);
+      state.current.desiredPos.copy(position);
+      state.current.desiredTarget.copy(target);
+    });
+  }, []);
+
   useFrame((_, dt) => {
     if (!controls.current) return;
+
+    if (orbit) {
+      const blend = state.current.orbitBlend;
+      if (blend) {
+        const p = Math.min(1, (performance.now() - blend.start) / (ORBIT.enterDuration * 1000));
+        const eased = EASINGS.easeInOut(p);
+        camera.position.lerpVectors(blend.fromPos, blend.toPos, eased);
+        controls.current.target.lerpVectors(blend.fromTarget, blend.toTarget, eased);
+        // the limits would clamp mid-blend poses, so controls only update once it lands
+        camera.lookAt(controls.current.target);
+        if (p < 1) return;
+        state.current.orbitBlend = null;
+        controls.current.enabled = true;
+      }
+      controls.current.update();
+      return;
+    }
+
+    // Path following: ease in from the blend origin, then sit exactly on the path
+    const follow = state.current.follow;
+    if (follow) {
+      const p = Math.min(1, (performance.now() - follow.start) / (follow.duration * 1000));
+      const eased = EASINGS.easeInOut(p);
+      camera.position.lerpVectors(follow.fromPos, state.current.desiredPos, eased);
+      controls.current.target.lerpVectors(follow.fromTarget, state.current.desiredTarget, eased);
+      controls.current.update();
+      return;
+    }
     
     // Enhanced delta time clamping to prevent jumps and ensure smooth transitions
     const clampedDt = Math.min(0.033, Math.max(0.001, dt)); // Cap at ~30fps, min 1ms
@@ -97,13 +207,19 @@ export function CameraRig({ rigRef, initialTarget = new THREE.Vector3(0, 0, 0) }
       ref={controls}
       enableDamping
       dampingFactor={0.05}
-      enableRotate={false}
-      enableZoom={false}
+      enableRotate={orbit}
+      enableZoom={orbit}
       enableKeys={false}
       enablePan={false}
-      mouseButtons={{}}
-      touches={{}}
+      mouseButtons={orbit ? ORBIT_MOUSE : {}}
+      touches={orbit ? ORBIT_TOUCH : {}}
       screenSpacePanning={false}
+      {...(orbit ? {
+        minDistance: orbitFrame.minDistance,
+        maxDistance: orbitFrame.maxDistance,
+        minPolarAngle: ORBIT.minPolarAngle,
+        maxPolarAngle: ORBIT.maxPolarAngle,
+      } : TOUR_LIMITS)}
     />
   );
 }
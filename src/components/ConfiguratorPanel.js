@@ -0,0 +1,269 @@
+import React, { useEffect, useReducer, useRef, useState } from "react";
+import { createPortal } from "react-dom";
+import { animationsBridge } from "../utils/animationsBridge";
+import { applySelection, readSelection, summarize, writeSelection } from "../utils/configurator";
+import { createAccessoryManager, readAccessories, writeAccessories } from "../utils/accessories";
+import { fitmentStore, readTruck, writeTruck } from "../utils/fitment";
+import { useStore } from "../hooks/useStore";
+import configuratorConfig from "../data/configurator.json";
+import accessoriesConfig from "../data/accessories.json";
+import trucksConfig from "../data/trucks.json";
+
+// swatch for options that keep the GLB's own materials
+const AS_MODELLED_SWATCH = "repeating-linear-gradient(45deg, #64748b 0 3px, #1e293b 3px 6px)";
+const ACCESSORY_STATUS = { loading: "Loading…", error: "Unavailable" };
+const FITMENT_STATUS = {
+  ok: { label: "Fits", className: "text-emerald-400" },
+  warning: { label: "Fits with caveats", className: "text-amber-400" },
+  error: { label: "Does not fit", className: "text-red-400" },
+  loading: { label: "Loading truck…", className: "text-slate-400" },
+};
+
+function formatCm(metres) {
+  return `${metres >= 0 ? "+" : "−"}${Math.round(Math.abs(metres) * 100)} cm`;
+}
+
+/**
+ * ConfiguratorPanel: pick shell finish / fabric options and see them on the model live
+ * - The selection is read from and written to the URL (see utils/configurator.js) and is
+ *   re-applied whenever the scene is (re)published, e.g. after the proxy → full model swap.
+ * - The truck picker (utils/fitment.js) puts the camper in a truck bed and shows the
+ *   clearances and fitment notes TruckFitment reports for it.
+ * - Accessories (utils/accessories.js) are toggled from the list below the swatches; their
+ *   GLBs load on first use and are re-attached to each newly published scene. The list and
+ *   its summary rows are hidden while accessories.json has no entries.
+ * - "Print Summary" prints just the chosen build (print-only sheet below).
+ */
+export function ConfiguratorPanel({ config = configuratorConfig, accessories = accessoriesConfig, trucks = trucksConfig, hidden = false }) {
+  const groupRef = useRef(null);
+  const sceneRef = useRef(null); // published model scene the accessories hang from
+  const [open, setOpen] = useState(false);
+  const [selection, setSelection] = useState(() => readSelection(config));
+  const selectionRef = useRef(selection);
+  selectionRef.current = selection;
+  const [enabled, setEnabled] = useState(() => readAccessories(accessories));
+  const enabledRef = useRef(enabled);
+  enabledRef.current = enabled;
+  const [manager] = useState(() => createAccessoryManager(accessories));
+  const [, refresh] = useReducer((n) => n + 1, 0);
+  const fitment = useStore(fitmentStore);
+  const truckId = fitment.truck ?? readTruck(trucks);
+  const report = fitment.report?.truck === truckId ? fitment.report : null;
+
+  useEffect(() => manager.subscribe(refresh), [manager]);
+
+  // every publish may carry a new scene under the same group (proxy → full swap); accessories
+  // follow the scene, not the group, so they move onto the new model
+  useEffect(() => {
+    const unsub = animationsBridge.subscribe(({ group, scene }) => {
+      groupRef.current = group?.current ? group.current : null;
+      sceneRef.current = groupRef.current && scene ? scene : null;
+      applySelection(groupRef.current, config, selectionRef.current);
+      manager.sync(sceneRef.current, enabledRef.current);
+    });
+    return unsub;
+  }, [config, manager]);
+
+  useEffect(() => {
+    applySelection(groupRef.current, config, selection);
+  }, [config, selection]);
+
+  useEffect(() => {
+    manager.sync(sceneRef.current, enabled);
+  }, [manager, enabled]);
+
+  const choose = (groupId, optionId) => {
+    const next = { ...selection, [groupId]: optionId };
+    setSelection(next);
+    writeSelection(config, next);
+  };
+
+  const toggleAccessory = (id) => {
+    const next = new Set(enabled);
+    if (next.has(id)) next.delete(id);
+    else next.add(id);
+    setEnabled(next);
+    writeAccessories(accessories, next);
+  };
+
+  const chooseTruck = (id) => {
+    fitmentStore.set({ truck: id });
+    writeTruck(trucks, id);
+  };
+
+  const summary = summarize(config, selection);
+  const truckLabel = trucks.trucks.find((t) => t.id === truckId)?.label;
+  const hasAccessories = accessories.accessories.length > 0;
+  const accessoryLabels = accessories.accessories.filter((a) => enabled.has(a.id)).map((a) => a.label);
+
+  return (
+    <>
+      <div className={`fixed top-4 right-4 z-30 flex-col items-end gap-2 pointer-events-auto print:hidden ${hidden ? "hidden" : "flex"}`}>
+        <button
+          type="button"
+          onClick={() => setOpen((v) => !v)}
+          aria-expanded={open}
+          className="rounded-xl border border-slate-700 bg-black/60 px-4 py-2 text-sm font-semibold tracking-wide text-white hover:bg-white/10"
+        >
+          {open ? "Close" : "Configure"}
+        </button>
+
+        {open && (
+          <div className="w-72 rounded-xl border border-slate-800/80 bg-black/80 backdrop-blur-md p-4 text-sm text-slate-200 space-y-4">
+            {config.groups.map((g) => (
+              <div key={g.id}>
+                <div className="mb-2 font-semibold text-white">{g.label}</div>
+                <div className="flex flex-wrap gap-2">
+                  {g.options.map((o) => {
+                    const selected = selection[g.id] === o.id;
+                    return (
+                      <button
+                        key={o.id}
+                        type="button"
+                        title={o.label}
+                        aria-label={`${g.label}: ${o.label}`}
+                        aria-pressed={selected}
+                        onClick={() => choose(g.id, o.id)}
+                        className={`w-8 h-8 rounded-full border-2 ${selected ? "border-white" : "border-slate-700 hover:border-slate-400"}`}
+                        style={{ background: o.map ? `center / cover url(${o.map})` : o.color ?? AS_MODELLED_SWATCH }}
+                      />
+                    );
+                  })}
+                </div>
+                <div className="mt-1 text-xs text-slate-400">
+                  {g.options.find((o) => o.id === selection[g.id])?.label}
+                </div>
+              </div>
+            ))}
+
+            <div>
+              <div className="mb-2 font-semibold text-white">Truck</div>
+              <div className="flex flex-col gap-1">
+                {trucks.trucks.map((t) => (
+                  <button
+                    key={t.id}
+                    type="button"
+                    aria-pressed={truckId === t.id}
+                    onClick={() => chooseTruck(t.id)}
+                    className={`rounded-lg border px-3 py-1 text-left text-xs ${truckId === t.id ? "border-white text-white" : "border-slate-700 text-slate-300 hover:bg-white/10"}`}
+                  >
+                    {t.label}
+                  </button>
+                ))}
+              </div>
+              {report && (
+                <div className="mt-2 space-y-1 text-xs" aria-live="polite">
+                  <div className={`font-semibold ${FITMENT_STATUS[report.status]?.className ?? ""}`}>
+                    {FITMENT_STATUS[report.status]?.label ?? report.status}
+                  </div>
+                  {report.clearance && (
+                    <div className="text-slate-400">
+                      Clearance: length {formatCm(report.clearance.length)}, width {formatCm(report.clearance.width)}
+                    </div>
+                  )}
+                  {report.notes.map((note) => (
+                    <p key={note} className="text-slate-300">{note}</p>
+                  ))}
+                </div>
+              )}
+            </div>
+
+            {hasAccessories && (
+              <div>
+                <div className="mb-2 font-semibold text-white">Accessories</div>
+                <ul className="space-y-1">
+                  {accessories.accessories.map((a) => (
+                    <li key={a.id}>
+                      <label className="flex items-center gap-2 cursor-pointer">
+                        <input
+                          type="checkbox"
+                          checked={enabled.has(a.id)}
+                          onChange={() => toggleAccessory(a.id)}
+                          className="accent-white"
+                        />
+                        <span className="flex-1">{a.label}</span>
+                        {enabled.has(a.id) && ACCESSORY_STATUS[manager.status(a.id)] && (
+                          <span className="text-xs text-slate-400">{ACCESSORY_STATUS[manager.status(a.id)]}</span>
+                        )}
+                      </label>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
+            <div className="border-t border-slate-800 pt-3">
+              <div className="mb-1 text-xs uppercase tracking-wide text-slate-400">Your Build</div>
+              <ul className="space-y-0.5">
+                {summary.map(({ group: g, option }) => (
+                  <li key={g.id} className="flex justify-between">
+                    <span className="text-slate-400">{g.label}</span>
+                    <span className="text-white">{option?.label ?? "—"}</span>
+                  </li>
+                ))}
+                <li className="flex justify-between gap-4">
+                  <span className="text-slate-400">Truck</span>
+                  <span className="text-right text-white">{truckLabel ?? "—"}</span>
+                </li>
+                {hasAccessories && (
+                  <li className="flex justify-between gap-4">
+                    <span className="text-slate-400">Accessories</span>
+                    <span className="text-right text-white">{accessoryLabels.join(", ") || "—"}</span>
+                  </li>
+                )}
+              </ul>
+              <div className="mt-3 flex gap-2">
+                <button
+                  type="button"
+                  onClick={() => navigator.clipboard?.writeText(window.location.href)}
+                  className="flex-1 rounded-lg border border-slate-700 px-3 py-1 text-xs font-semibold text-white hover:bg-white/10"
+                >
+                  Copy Link
+                </button>
+                <button
+                  type="button"
+                  onClick={() => window.print()}
+                  className="flex-1 rounded-lg border border-slate-700 px-3 py-1 text-xs font-semibold text-white hover:bg-white/10"
+                >
+                  Print Summary
+                </button>
+              </div>
+            </div>
+          </div>
+        )}
+      </div>
+
+      {/* Print-only build sheet; the app itself is hidden in print (index.css) */}
+      {createPortal(
+        <div className="hidden print:block p-8 text-black">
+          <h1 className="text-2xl font-bold mb-4">Madix Tent: Your Build</h1>
+          <table className="w-full text-left">
+            <tbody>
+              {summary.map(({ group: g, option }) => (
+                <tr key={g.id} className="border-b border-gray-300">
+                  <th className="py-2 pr-4 font-semibold">{g.label}</th>
+                  <td className="py-2">{option?.label ?? "—"}</td>
+                </tr>
+              ))}
+              <tr className="border-b border-gray-300">
+                <th className="py-2 pr-4 font-semibold">Truck</th>
+                <td className="py-2">
+                  {truckLabel ?? "—"}
+                  {report?.status && FITMENT_STATUS[report.status] && report.status !== "loading" && ` (${FITMENT_STATUS[report.status].label})`}
+                </td>
+              </tr>
+              {hasAccessories && (
+                <tr className="border-b border-gray-300">
+                  <th className="py-2 pr-4 font-semibold">Accessories</th>
+                  <td className="py-2">{accessoryLabels.join(", ") || "—"}</td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+          <p className="mt-6 text-sm">{window.location.href}</p>
+        </div>,
+        document.body
+      )}
+    </>
+  );
+}
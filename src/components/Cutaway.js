@@ -0,0 +1,36 @@
+import { useEffect, useRef } from "react";
+import { useFrame, useThree } from "@react-three/fiber";
+import { animationsBridge } from "../utils/animationsBridge";
+import { createCutaway, cutawayStore } from "../utils/cutaway";
+import cutawayConfig from "../data/cutaway.json";
+
+/**
+ * Cutaway: slices the model with cutawayStore's plane (utils/cutaway.js) and caps the cut
+ * solids; rebuilt for every published model (proxy → full swap).
+ */
+export function Cutaway({ config = cutawayConfig }) {
+  const { gl } = useThree();
+  const cutawayRef = useRef(null);
+
+  useEffect(() => {
+    gl.localClippingEnabled = true;
+  }, [gl]);
+
+  useEffect(() => {
+    const unsub = animationsBridge.subscribe(({ group }) => {
+      cutawayRef.current?.dispose();
+      cutawayRef.current = group?.current ? createCutaway(group.current, config) : null;
+    });
+    return () => {
+      unsub();
+      cutawayRef.current?.dispose();
+      cutawayRef.current = null;
+    };
+  }, [config]);
+
+  useFrame(() => {
+    cutawayRef.current?.update(cutawayStore.get());
+  });
+
+  return null;
+}
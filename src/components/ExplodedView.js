@@ -0,0 +1,46 @@
+import { useEffect, useRef } from "react";
+import { useFrame } from "@react-three/fiber";
+import * as THREE from "three";
+import { animationsBridge } from "../utils/animationsBridge";
+import { createExploder, explodeStore } from "../utils/explode";
+import { FRAME_PRIORITY } from "./constants";
+import explodedConfig from "../data/exploded.json";
+
+const EXPLODE_DAMPING = 6; // higher = parts follow the slider / scroll faster
+
+/**
+ * ExplodedView: moves the configured parts apart (utils/explode.js); the amount eases toward
+ * explodeStore's so jumps stay smooth.
+ * - The offsets come off before SceneContent evaluates the clips and go back on right after
+ *   (FRAME_PRIORITY), so annotations, dimensions, hotspots and occlusion rays all see the
+ *   exploded parts, and the clips never see the offsets.
+ */
+export function ExplodedView({ config = explodedConfig }) {
+  const exploderRef = useRef(null);
+  const amountRef = useRef(0);
+
+  useEffect(() => {
+    const unsub = animationsBridge.subscribe(({ group }) => {
+      exploderRef.current?.restore();
+      exploderRef.current = group?.current ? createExploder(group.current, config.parts) : null;
+    });
+    return () => {
+      unsub();
+      exploderRef.current?.restore();
+      exploderRef.current = null;
+    };
+  }, [config]);
+
+  useFrame(() => {
+    exploderRef.current?.restore();
+  }, FRAME_PRIORITY.explodeRestore);
+
+  useFrame((_, dt) => {
+    const target = explodeStore.get().amount;
+    const next = THREE.MathUtils.damp(amountRef.current, target, EXPLODE_DAMPING, Math.min(dt, 0.1));
+    amountRef.current = Math.abs(next - target) < 1e-4 ? target : next;
+    exploderRef.current?.apply(amountRef.current);
+  }, FRAME_PRIORITY.explodeApply);
+
+  return null;
+}
@@ -0,0 +1,148 @@
+import React, { useEffect } from "react";
+import { exploreStore } from "../utils/exploreStore";
+import { hotspots } from "../utils/annotationContent";
+import { measureStore } from "../utils/measurements";
+import { explodeStore } from "../utils/explode";
+import { CUT_AXES, cutawayStore } from "../utils/cutaway";
+import { useStore } from "../hooks/useStore";
+
+/**
+ * ExploreControls: opt-in toggles for explore mode (hotspots) and free orbit
+ * - While exploring, page scroll is locked (the tour stays put) and the canvas takes pointer
+ *   input; Escape or "Back to Tour" returns to the tour.
+ * - "Measure" (while exploring) switches clicks to the point-to-point tool; "Dimensions" and
+ *   the unit switch drive the dimension overlay (MeasurementLayer).
+ * - The "Explode" slider (while exploring) pulls the subassemblies apart (ExplodedView);
+ *   back on the tour, scroll owns the amount again. "Cutaway" slices the model along the
+ *   chosen axis, with the slider moving the plane (Cutaway).
+ */
+export function ExploreControls() {
+  const { active, orbit, measuring, hovered, selected } = useStore(exploreStore);
+  const { visible: dimensions, units } = useStore(measureStore);
+  const { amount: explode } = useStore(explodeStore);
+  const cutaway = useStore(cutawayStore);
+
+  useEffect(() => {
+    if (!active) return;
+    const { overflow } = document.body.style;
+    document.body.style.overflow = "hidden";
+    const onKey = (e) => { if (e.key === "Escape") exploreStore.set({ active: false }); };
+    window.addEventListener("keydown", onKey);
+    return () => {
+      document.body.style.overflow = overflow;
+      window.removeEventListener("keydown", onKey);
+    };
+  }, [active]);
+
+  const hoveredSpot = hotspots.find((h) => h.id === hovered);
+  const hint = measuring
+    ? orbit ? "Click two points to measure, drag to orbit" : "Click two points to measure"
+    : orbit
+    ? "Drag to orbit, scroll or pinch to zoom"
+    : hoveredSpot ? hoveredSpot.text : selected ? "Click another part, or Esc to return" : "Click a part to take a closer look";
+  const buttonClass = "rounded-xl border border-slate-700 bg-black/60 px-4 py-2 text-sm font-semibold tracking-wide text-white hover:bg-white/10";
+
+  const panelClass = "flex items-center gap-2 rounded-xl border border-slate-700 bg-black/60 px-3 py-2 text-sm font-semibold tracking-wide text-white";
+
+  return (
+    <div className="fixed bottom-4 right-4 z-30 flex flex-col items-end gap-2 pointer-events-auto">
+      {/* explore tools */}
+      {active && (
+        <div className="flex items-center gap-2">
+          <label className={panelClass}>
+            Explode
+            <input
+              type="range"
+              min={0}
+              max={1}
+              step={0.01}
+              value={explode}
+              onChange={(e) => explodeStore.set({ amount: Number(e.target.value) })}
+              className="w-24 accent-white"
+            />
+          </label>
+          <div className={panelClass}>
+            <button
+              type="button"
+              aria-pressed={cutaway.active}
+              onClick={() => cutawayStore.set({ active: !cutaway.active })}
+              className={`rounded-lg px-2 ${cutaway.active ? "bg-white/20" : "hover:bg-white/10"}`}
+            >
+              Cutaway
+            </button>
+            {cutaway.active && (
+              <>
+                <button
+                  type="button"
+                  aria-label={`Cut axis: ${cutaway.axis.toUpperCase()}`}
+                  onClick={() => cutawayStore.set({ axis: CUT_AXES[(CUT_AXES.indexOf(cutaway.axis) + 1) % CUT_AXES.length] })}
+                  className="w-6 rounded-lg hover:bg-white/10"
+                >
+                  {cutaway.axis.toUpperCase()}
+                </button>
+                <input
+                  type="range"
+                  min={0}
+                  max={1}
+                  step={0.01}
+                  value={cutaway.offset}
+                  aria-label="Cut position"
+                  onChange={(e) => cutawayStore.set({ offset: Number(e.target.value) })}
+                  className="w-24 accent-white"
+                />
+              </>
+            )}
+          </div>
+          <button
+            type="button"
+            aria-pressed={measuring}
+            onClick={() => exploreStore.set({ measuring: !measuring })}
+            className={`${buttonClass} ${measuring ? "bg-white/20" : ""}`}
+          >
+            Measure
+          </button>
+        </div>
+      )}
+
+      <div className="flex items-center gap-2">
+        {active && (
+          <div className="rounded-xl border border-slate-800/80 bg-black/60 px-3 py-2 text-xs text-slate-300">
+            {hint}
+          </div>
+        )}
+        <button
+          type="button"
+          aria-pressed={dimensions}
+          onClick={() => measureStore.set({ visible: !dimensions })}
+          className={`${buttonClass} ${dimensions ? "bg-white/20" : ""}`}
+        >
+          Dimensions
+        </button>
+        <button
+          type="button"
+          aria-label={`Units: ${units === "in" ? "inches" : "centimetres"}`}
+          onClick={() => measureStore.set({ units: units === "in" ? "cm" : "in" })}
+          className={buttonClass}
+        >
+          {units === "in" ? "in" : "cm"}
+        </button>
+        {active ? (
+          <button type="button" onClick={() => exploreStore.set({ active: false })} className={buttonClass}>
+            Back to Tour
+          </button>
+        ) : (
+          <>
+            {hotspots.length > 0 && (
+              <button type="button" onClick={() => exploreStore.set({ active: true })} className={buttonClass}>
+                Explore
+              </button>
+            )}
+            <button type="button" onClick={() => exploreStore.set({ orbit: true })} className={buttonClass}>
+              Free Orbit
+            </button>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,111 @@
+import React, { useEffect, useRef, useState } from "react";
+import { useThree, createPortal } from "@react-three/fiber";
+import { Outlines } from "@react-three/drei";
+import * as THREE from "three";
+import { animationsBridge } from "../utils/animationsBridge";
+import { exploreStore } from "../utils/exploreStore";
+import { hotspots } from "../utils/annotationContent";
+import { useStore } from "../hooks/useStore";
+
+const CLOSE_UP_DURATION = 1.4; // seconds
+
+// Hotspot owning `object` (the hit mesh or one of its ancestors), if any
+function hotspotFor(object, byName) {
+  for (let o = object; o; o = o.parent) {
+    if (byName.has(o.name)) return byName.get(o.name);
+  }
+  return null;
+}
+
+function meshesOf(object) {
+  const out = [];
+  object?.traverse((child) => { if (child.isMesh) out.push(child); });
+  return out;
+}
+
+/**
+ * ExploreHotspots: raycast picking of annotated parts while explore mode is on
+ * - Hover outlines the part; click flies the camera to its `closeUp` pose (setCameraPose)
+ *   and selects it, which opens its annotation card.
+ * - Paused while the measuring tool owns clicks (MeasurementLayer).
+ */
+export function ExploreHotspots() {
+  const { camera, gl } = useThree();
+  const { active, orbit, measuring, hovered } = useStore(exploreStore);
+  const groupRef = useRef(null);
+  const [hoveredObject, setHoveredObject] = useState(null);
+
+  useEffect(() => {
+    const unsub = animationsBridge.subscribe(({ group }) => {
+      groupRef.current = group?.current ? group.current : null;
+    });
+    return unsub;
+  }, []);
+
+  // the Canvas ignores the pointer during the tour; take it while exploring (hotspots or orbit)
+  useEffect(() => {
+    if (!active) return;
+    const el = gl.domElement;
+    el.style.pointerEvents = "auto";
+    return () => { el.style.pointerEvents = ""; };
+  }, [active, gl]);
+
+  useEffect(() => {
+    if (!active || orbit || measuring) return;
+    const el = gl.domElement;
+    const raycaster = new THREE.Raycaster();
+    const pointer = new THREE.Vector2();
+    const byName = new Map(hotspots.map((h) => [h.objectName, h]));
+
+    const pick = (e) => {
+      if (!groupRef.current) return null;
+      const rect = el.getBoundingClientRect();
+      pointer.set(((e.clientX - rect.left) / rect.width) * 2 - 1, -((e.clientY - rect.top) / rect.height) * 2 + 1);
+      raycaster.setFromCamera(pointer, camera);
+      for (const hit of raycaster.intersectObject(groupRef.current, true)) {
+        const spot = hotspotFor(hit.object, byName);
+        if (spot) return { spot, object: groupRef.current.getObjectByName(spot.objectName) };
+      }
+      return null;
+    };
+
+    const onMove = (e) => {
+      const result = pick(e);
+      exploreStore.set({ hovered: result?.spot.id ?? null });
+      setHoveredObject(result?.object ?? null);
+      el.style.cursor = result ? "pointer" : "";
+    };
+    const onClick = (e) => {
+      const result = pick(e);
+      if (!result) return;
+      const { position, target } = result.spot.closeUp;
+      window.dispatchEvent(new CustomEvent("setCameraPose", {
+        // close-ups keep their framing on a truck (only lifted with the camper)
+        detail: { position, target, duration: CLOSE_UP_DURATION, fit: false },
+      }));
+      exploreStore.set({ selected: result.spot.id });
+    };
+
+    el.addEventListener("pointermove", onMove);
+    el.addEventListener("click", onClick);
+    return () => {
+      el.removeEventListener("pointermove", onMove);
+      el.removeEventListener("click", onClick);
+      el.style.cursor = "";
+      setHoveredObject(null);
+    };
+  }, [active, orbit, measuring, camera, gl]);
+
+  if (!active || orbit || measuring || !hovered || !hoveredObject) return null;
+
+  // outline every mesh of the hovered part
+  return (
+    <>
+      {meshesOf(hoveredObject).map((mesh) => (
+        <React.Fragment key={mesh.uuid}>
+          {createPortal(<Outlines thickness={3} screenspace color="#ffffff" />, mesh)}
+        </React.Fragment>
+      ))}
+    </>
+  );
+}
@@ -0,0 +1,113 @@
+import React, { useEffect, useMemo, useRef } from "react";
+import { useFrame, useThree } from "@react-three/fiber";
+import * as THREE from "three";
+import { SceneEnvironment } from "./SceneEnvironment";
+import { animationsBridge } from "../utils/animationsBridge";
+import { activePreset, createLedFixtures } from "../utils/lighting";
+import lightingConfig from "../data/lighting.json";
+
+const LIGHTING_DAMPING = 2.5; // higher = faster crossfade between presets
+
+// Live values eased toward the active preset
+function createLevels(preset) {
+  return {
+    environment: preset.environment,
+    ambient: { intensity: preset.ambient.intensity, color: new THREE.Color(preset.ambient.color) },
+    sun: { intensity: preset.sun.intensity, color: new THREE.Color(preset.sun.color), position: new THREE.Vector3().fromArray(preset.sun.position) },
+    hemisphere: {
+      intensity: preset.hemisphere.intensity,
+      sky: new THREE.Color(preset.hemisphere.sky),
+      ground: new THREE.Color(preset.hemisphere.ground),
+    },
+    leds: preset.leds,
+  };
+}
+
+/**
+ * Lighting: environment, ambient, sun and hemisphere lights plus the interior LEDs,
+ * crossfading to whichever preset is active (utils/lighting.js). The environment map itself
+ * is the bundled HDRI picked by SceneEnvironment; presets only set its intensity.
+ */
+export function Lighting({ config = lightingConfig }) {
+  const { scene } = useThree();
+  const ambientRef = useRef(null);
+  const sunRef = useRef(null);
+  const hemisphereRef = useRef(null);
+  const ledsRef = useRef(null);
+  const targets = useMemo(
+    () => Object.fromEntries(Object.entries(config.presets).map(([id, preset]) => [id, createLevels(preset)])),
+    [config]
+  );
+  const levels = useRef(null);
+  if (!levels.current) levels.current = createLevels(config.presets[activePreset(config)]);
+  const initial = levels.current;
+
+  useEffect(() => {
+    const unsub = animationsBridge.subscribe(({ group }) => {
+      ledsRef.current?.dispose();
+      ledsRef.current = group?.current ? createLedFixtures(group.current, config.leds) : null;
+      ledsRef.current?.set(levels.current.leds);
+    });
+    return () => {
+      unsub();
+      ledsRef.current?.dispose();
+      ledsRef.current = null;
+    };
+  }, [config]);
+
+  useFrame((_, dt) => {
+    const target = targets[activePreset(config)];
+    const cur = levels.current;
+    const k = 1 - Math.exp(-LIGHTING_DAMPING * Math.min(dt, 0.1));
+    const ease = (from, to) => from + (to - from) * k;
+
+    cur.environment = ease(cur.environment, target.environment);
+    cur.ambient.intensity = ease(cur.ambient.intensity, target.ambient.intensity);
+    cur.ambient.color.lerp(target.ambient.color, k);
+    cur.sun.intensity = ease(cur.sun.intensity, target.sun.intensity);
+    cur.sun.color.lerp(target.sun.color, k);
+    cur.sun.position.lerp(target.sun.position, k);
+    cur.hemisphere.intensity = ease(cur.hemisphere.intensity, target.hemisphere.intensity);
+    cur.hemisphere.sky.lerp(target.hemisphere.sky, k);
+    cur.hemisphere.ground.lerp(target.hemisphere.ground, k);
+    cur.leds = ease(cur.leds, target.leds);
+
+    scene.environmentIntensity = cur.environment;
+    if (ambientRef.current) {
+      ambientRef.current.intensity = cur.ambient.intensity;
+      ambientRef.current.color.copy(cur.ambient.color);
+    }
+    if (sunRef.current) {
+      sunRef.current.intensity = cur.sun.intensity;
+      sunRef.current.color.copy(cur.sun.color);
+      sunRef.current.position.copy(cur.sun.position);
+    }
+    if (hemisphereRef.current) {
+      hemisphereRef.current.intensity = cur.hemisphere.intensity;
+      hemisphereRef.current.color.copy(cur.hemisphere.sky);
+      hemisphereRef.current.groundColor.copy(cur.hemisphere.ground);
+    }
+    ledsRef.current?.set(cur.leds);
+  });
+
+  return (
+    <>
+      <SceneEnvironment />
+      <ambientLight ref={ambientRef} intensity={initial.ambient.intensity} color={initial.ambient.color} />
+      <directionalLight
+        ref={sunRef}
+        castShadow
+        intensity={initial.sun.intensity}
+        color={initial.sun.color}
+        position={initial.sun.position.toArray()}
+        shadow-mapSize={[2048, 2048]}
+      />
+      <hemisphereLight
+        ref={hemisphereRef}
+        intensity={initial.hemisphere.intensity}
+        color={initial.hemisphere.sky}
+        groundColor={initial.hemisphere.ground}
+      />
+    </>
+  );
+}
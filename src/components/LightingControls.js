@@ -0,0 +1,63 @@
+import React from "react";
+import { lightingStore } from "../utils/lighting";
+import { environmentStore } from "../utils/environments";
+import { weatherStore } from "../utils/weather";
+import { useStore } from "../hooks/useStore";
+import lightingConfig from "../data/lighting.json";
+import environmentsConfig from "../data/environments.json";
+import weatherConfig from "../data/weather.json";
+
+// One row of "Auto" + fixed choices; "Auto" leaves it to the sections
+function ChoiceRow({ label, choices, user, onChoose }) {
+  const options = [["auto", "Auto"], ...Object.entries(choices).map(([id, c]) => [id, c.label || id])];
+  return (
+    <div role="group" aria-label={label} className="flex rounded-xl border border-slate-800/80 bg-black/40 p-1">
+      {options.map(([id, text]) => {
+        const selected = (user ?? "auto") === id;
+        return (
+          <button
+            key={id}
+            type="button"
+            aria-pressed={selected}
+            onClick={() => onChoose(id === "auto" ? null : id)}
+            className={`rounded-lg px-3 py-1 ${selected ? "bg-white/20 text-white" : "text-slate-300 hover:bg-white/10"}`}
+          >
+            {text}
+          </button>
+        );
+      })}
+    </div>
+  );
+}
+
+/**
+ * LightingControls: Auto (sections decide) or a fixed lighting preset, environment and weather
+ */
+export function LightingControls({ lighting = lightingConfig, environments = environmentsConfig, weather = weatherConfig }) {
+  const { user: lightingChoice } = useStore(lightingStore);
+  const { user: environmentChoice } = useStore(environmentStore);
+  const { user: weatherChoice } = useStore(weatherStore);
+
+  return (
+    <div className="fixed top-16 left-4 z-30 flex flex-col items-start gap-2 text-xs font-semibold tracking-wide pointer-events-auto">
+      <ChoiceRow
+        label="Lighting"
+        choices={lighting.presets}
+        user={lightingChoice}
+        onChoose={(id) => lightingStore.set({ user: id })}
+      />
+      <ChoiceRow
+        label="Environment"
+        choices={environments.environments}
+        user={environmentChoice}
+        onChoose={(id) => environmentStore.set({ user: id })}
+      />
+      <ChoiceRow
+        label="Weather"
+        choices={weather.presets}
+        user={weatherChoice}
+        onChoose={(id) => weatherStore.set({ user: id })}
+      />
+    </div>
+  );
+}
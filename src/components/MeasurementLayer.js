@@ -0,0 +1,177 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { useFrame, useThree } from "@react-three/fiber";
+import { Html } from "@react-three/drei";
+import * as THREE from "three";
+import { animationsBridge } from "../utils/animationsBridge";
+import { dimensionWorldPoints, formatLength, measureStore, modelScale, sectionDimensions } from "../utils/measurements";
+import { exploreStore } from "../utils/exploreStore";
+import { useStore } from "../hooks/useStore";
+import measurementsConfig from "../data/measurements.json";
+
+const LINE_COLOR = "#ffffff";
+const CLICK_SLOP = 5; // px a press may move and still count as a click (not an orbit drag)
+
+/**
+ * One dimension line: extension lines from both points, the dimension line between them
+ * (`offset` away) and a label. `measure(from, to, offset)` fills world points every frame
+ * and returns false to hide the line.
+ */
+function DimensionLine({ measure, label, units, rootRef, dots = false }) {
+  const groupRef = useRef(null);
+  const geometryRef = useRef(null);
+  const labelRef = useRef(null);
+  const textRef = useRef(null);
+  const dotRefs = [useRef(null), useRef(null)];
+  const positions = useMemo(() => new Float32Array(18), []);
+  const points = useMemo(() => ({
+    from: new THREE.Vector3(), to: new THREE.Vector3(), offset: new THREE.Vector3(),
+    a: new THREE.Vector3(), b: new THREE.Vector3(),
+  }), []);
+
+  useFrame(() => {
+    const group = groupRef.current;
+    const root = rootRef.current;
+    if (!group) return;
+    points.offset.set(0, 0, 0);
+    group.visible = !!root && measure(points.from, points.to, points.offset);
+    if (!group.visible) return;
+
+    const { from, to, offset, a, b } = points;
+    a.copy(from).add(offset);
+    b.copy(to).add(offset);
+    [from, a, to, b, a, b].forEach((p, i) => p.toArray(positions, i * 3));
+    const geometry = geometryRef.current;
+    geometry.attributes.position.needsUpdate = true;
+    geometry.computeBoundingSphere();
+    labelRef.current.position.copy(a).add(b).multiplyScalar(0.5);
+    dotRefs.forEach((ref, i) => ref.current?.position.copy(i ? to : from));
+
+    const distance = from.distanceTo(to) / modelScale(root);
+    const text = distance > 0 ? `${label ? `${label}: ` : ""}${formatLength(distance, units)}` : "";
+    if (textRef.current && textRef.current.textContent !== text) textRef.current.textContent = text;
+  });
+
+  return (
+    <group ref={groupRef} visible={false}>
+      <lineSegments frustumCulled={false} renderOrder={10}>
+        <bufferGeometry ref={geometryRef}>
+          <bufferAttribute attach="attributes-position" args={[positions, 3]} />
+        </bufferGeometry>
+        <lineBasicMaterial color={LINE_COLOR} depthTest={false} transparent opacity={0.9} />
+      </lineSegments>
+      {dots && dotRefs.map((ref, i) => (
+        <mesh key={i} ref={ref} renderOrder={10}>
+          <sphereGeometry args={[0.015, 12, 12]} />
+          <meshBasicMaterial color={LINE_COLOR} depthTest={false} transparent />
+        </mesh>
+      ))}
+      <group ref={labelRef}>
+        <Html center style={{ pointerEvents: "none" }}>
+          <span
+            ref={textRef}
+            className="whitespace-nowrap rounded-md border border-slate-700 bg-black/70 px-2 py-0.5 text-xs font-semibold text-white"
+          />
+        </Html>
+      </group>
+    </group>
+  );
+}
+
+/**
+ * MeasurementLayer: dimension lines for the current section (or all, with the Dimensions
+ * toggle) and the point-to-point tool in explore mode (utils/measurements.js)
+ * - Tool: click two points on the model; a third click starts a new measurement. Points are
+ *   kept local to the part that was hit, so they follow its clips.
+ */
+export function MeasurementLayer({ config = measurementsConfig }) {
+  const { camera, gl } = useThree();
+  const { visible, units } = useStore(measureStore);
+  const { measuring } = useStore(exploreStore);
+  const rootRef = useRef(null);
+  const clipsRef = useRef([]);
+  const [section, setSection] = useState(null);
+  const [picks, setPicks] = useState([]); // [{ object, local }]
+
+  useEffect(() => {
+    const unsub = animationsBridge.subscribe(({ actions, group }) => {
+      rootRef.current = group?.current ? group.current : null;
+      clipsRef.current = Object.values(actions || {}).map((action) => action.getClip());
+      setPicks([]); // picked parts belong to the previous model
+    });
+    return unsub;
+  }, []);
+
+  useEffect(() => {
+    const onSectionChange = (e) => setSection(e.detail?.config || null);
+    window.addEventListener("sectionChange", onSectionChange);
+    return () => window.removeEventListener("sectionChange", onSectionChange);
+  }, []);
+
+  useEffect(() => {
+    if (!measuring) {
+      setPicks([]);
+      return;
+    }
+    const el = gl.domElement;
+    const raycaster = new THREE.Raycaster();
+    const pointer = new THREE.Vector2();
+    let down = null;
+
+    const onDown = (e) => { down = { x: e.clientX, y: e.clientY }; };
+    const onUp = (e) => {
+      const start = down;
+      down = null;
+      if (!start || Math.hypot(e.clientX - start.x, e.clientY - start.y) > CLICK_SLOP || !rootRef.current) return;
+      const rect = el.getBoundingClientRect();
+      pointer.set(((e.clientX - rect.left) / rect.width) * 2 - 1, -((e.clientY - rect.top) / rect.height) * 2 + 1);
+      raycaster.setFromCamera(pointer, camera);
+      const hit = raycaster.intersectObject(rootRef.current, true).find((h) => h.object.visible);
+      if (!hit) return;
+      const pick = { object: hit.object, local: hit.object.worldToLocal(hit.point.clone()) };
+      setPicks((prev) => (prev.length === 1 ? [prev[0], pick] : [pick]));
+    };
+
+    el.style.cursor = "crosshair";
+    el.addEventListener("pointerdown", onDown);
+    el.addEventListener("pointerup", onUp);
+    return () => {
+      el.style.cursor = "";
+      el.removeEventListener("pointerdown", onDown);
+      el.removeEventListener("pointerup", onUp);
+    };
+  }, [measuring, camera, gl]);
+
+  const dimensions = useMemo(
+    () => (visible ? config.dimensions : sectionDimensions(config, section)),
+    [config, section, visible]
+  );
+
+  const measurers = useMemo(() => dimensions.map((dim) => {
+    const offset = new THREE.Vector3().fromArray(dim.offset || [0, 0, 0]);
+    return (from, to, out) => {
+      const root = rootRef.current;
+      if (!dimensionWorldPoints(root, dim, from, to, clipsRef.current)) return false;
+      out.copy(offset).multiplyScalar(modelScale(root));
+      return true;
+    };
+  }), [dimensions]);
+
+  const measurePicks = useMemo(() => (from, to) => {
+    if (picks.length === 0) return false;
+    from.copy(picks[0].local).applyMatrix4(picks[0].object.matrixWorld);
+    const end = picks[1] || picks[0];
+    to.copy(end.local).applyMatrix4(end.object.matrixWorld);
+    return true;
+  }, [picks]);
+
+  return (
+    <>
+      {dimensions.map((dim, i) => (
+        <DimensionLine key={dim.id} measure={measurers[i]} label={dim.label} units={units} rootRef={rootRef} />
+      ))}
+      {measuring && picks.length > 0 && (
+        <DimensionLine measure={measurePicks} units={units} rootRef={rootRef} dots />
+      )}
+    </>
+  );
+}
@@ -1,16 +1,47 @@
 import React, { useRef, useEffect } from "react";
 import { useFrame } from "@react-three/fiber";
-import { useAnimations } from "@react-three/drei";
 import * as THREE from "three";
-import { useGzipGLTF } from "../hooks/useGzipGLTF";
+import { useModel } from "../hooks/useModel";
+import { useAnimationMixer } from "../hooks/useAnimationMixer";
 import { animationsBridge } from "../utils/animationsBridge";
+import { clearBounds } from "../utils/anchors";
+import { FRAME_PRIORITY, TENT_MODEL_URL, TENT_PROXY_URL } from "./constants";
 
-/** SceneContent: loads the GLB and accepts "scrub" events to set clip time by scroll */
-export function SceneContent({ onCenter, onLoadingComplete }) {
+// Clip state of the outgoing model, keyed by clip name
+function snapshotActions(mixer, clips, root) {
+  const out = {};
+  if (!root) return out;
+  clips.forEach((clip) => {
+    const a = mixer.existingAction(clip, root);
+    if (a) out[clip.name] = { time: a.time, weight: a.weight, enabled: a.enabled, paused: a.paused, scheduled: a.isScheduled() };
+  });
+  return out;
+}
+
+/**
+ * SceneContent: loads the GLB and accepts "scrub" events to set clip time by scroll
+ * - Progressive: a low-detail proxy (same node and clip names) is shown as soon as it
+ *   arrives, then swapped for the full model in place, carrying the live clip state over.
+ */
+export function SceneContent({ onCenter, onLoadingComplete, onLoadingProgress, onDetailProgress }) {
   const group = useRef();
-  const { scene, animations, loading, error } = useGzipGLTF("/Tent3.glb.gz");
-  const anims = useAnimations(animations || [], group);
-  const { actions, mixer } = anims;
+  const proxy = useModel(TENT_PROXY_URL, { variants: [""] });
+  const full = useModel(TENT_MODEL_URL);
+  const model = full.scene || !proxy.scene ? full : proxy;
+  const { scene, animations } = model;
+  const error = !scene && !proxy.loading ? full.error : null;
+  const loading = !scene && !error;
+  // the overlay tracks whichever model will be shown first
+  const progress = proxy.loading && !full.scene ? proxy.progress : full.progress;
+  const { actions, mixer } = useAnimationMixer(animations || [], group);
+
+  // Proxy → full swap: remember the proxy's clip state before its actions are uncached
+  const shownRef = useRef(null);
+  const carryRef = useRef(null);
+  if (scene && shownRef.current?.scene !== scene) {
+    if (shownRef.current) carryRef.current = snapshotActions(mixer, shownRef.current.animations, group.current);
+    shownRef.current = { scene, animations };
+  }
 
   useEffect(() => {
     if (!actions) return;
@@ -45,13 +76,20 @@ export function SceneContent({ onCenter, onLoadingComplete }) {
   useEffect(() => {
     if (!group.current || !scene) return;
 
-    const box = new THREE.Box3().setFromObject(group.current);
+    // measure from scratch so the proxy and full model land on the same transform
+    group.current.position.set(0, 0, 0);
+    group.current.scale.setScalar(1);
+    // in the parent's frame, so a lifted parent (truck bed, see TruckFitment) is kept
+    const parent = group.current.parent;
+    parent?.updateWorldMatrix(true, false);
+    const toParent = parent ? parent.matrixWorld.clone().invert() : new THREE.Matrix4();
+    const box = new THREE.Box3().setFromObject(group.current).applyMatrix4(toParent);
     const size = box.getSize(new THREE.Vector3());
     const center = box.getCenter(new THREE.Vector3());
 
     // Center the object and rest it on ground
     group.current.position.sub(center);
-    const worldBox = new THREE.Box3().setFromObject(group.current);
+    const worldBox = new THREE.Box3().setFromObject(group.current).applyMatrix4(toParent);
     const minY = worldBox.min.y;
     group.current.position.y -= minY;
 
@@ -64,23 +102,74 @@ export function SceneContent({ onCenter, onLoadingComplete }) {
     }
   }, [onCenter, scene]);
 
+  useEffect(() => {
+    const carry = carryRef.current;
+    if (!carry || !actions) return;
+    carryRef.current = null;
+    Object.entries(carry).forEach(([name, state]) => {
+      const a = actions[name];
+      if (!a) return;
+      a.enabled = state.enabled;
+      a.weight = state.weight;
+      a.paused = state.paused;
+      if (state.scheduled) a.play();
+      a.time = state.time;
+    });
+    mixer.update(0);
+  }, [actions, mixer]);
+
+  // Free the proxy's GPU resources once the full model is in (accessories attached to it
+  // share their model's resources and are moved to the full model on publish)
+  useEffect(() => {
+    if (!full.scene || !proxy.scene) return;
+    const free = (o) => {
+      if (o.userData.accessory) return;
+      o.children.forEach(free);
+      if (!o.isMesh) return;
+      o.geometry?.dispose();
+      (Array.isArray(o.material) ? o.material : [o.material]).forEach((m) => {
+        if (!m) return;
+        Object.values(m).forEach((v) => v?.isTexture && v.dispose());
+        m.dispose();
+      });
+    };
+    free(proxy.scene);
+  }, [full.scene, proxy.scene]);
+
   useEffect(() => {
     if (actions && Object.keys(actions).length && animations && animations.length > 0) {
       console.log("Available animations:", Object.keys(actions));
       console.log("Animation clips:", animations.map((clip) => ({ name: clip.name, duration: clip.duration })));
-      animationsBridge.publish({ actions, group });
+      // the group is stable across the proxy → full swap; its bounds are not
+      clearBounds(group.current);
+      animationsBridge.publish({ actions, group, scene });
     }
-  }, [actions, animations]);
+  }, [actions, animations, scene]);
 
   useEffect(() => {
     if (!loading && scene && onLoadingComplete) onLoadingComplete();
   }, [loading, scene, onLoadingComplete]);
 
+  useEffect(() => {
+    onLoadingProgress?.(progress);
+  }, [progress, onLoadingProgress]);
+
+  // full-detail download still running behind the proxy (null once swapped in or failed)
+  const detailProgress = scene && !full.scene && !full.error ? full.progress : null;
+  useEffect(() => {
+    onDetailProgress?.(detailProgress);
+  }, [detailProgress, onDetailProgress]);
+
+  useEffect(() => {
+    if (full.error && proxy.scene) console.error("Full-detail model failed, keeping the proxy:", full.error);
+  }, [full.error, proxy.scene]);
+
   // === SCRUB BUS ===
   // Fixed: Removed animationStartedRef references for section 5
   const scrubRef = useRef({ entries: [], exclusive: true });
   const sectionRef = useRef(-1); // Track current section
-  const mattressAnimationStartedRef = useRef(false); // Track if mattress animation has started in section 3
+  const playOnceRef = useRef(null); // Clip name candidates the current section plays once (manifest `playOnce`)
+  const mattressAnimationStartedRef = useRef(false); // Track if the play-once animation has started in this section
 
   useEffect(() => {
     const onScrub = (e) => {
@@ -91,18 +180,14 @@ export function SceneContent({ onCenter, onLoadingComplete }) {
       scrubRef.current = { entries: [], exclusive: true };
     };
     const onSectionChange = (e) => {
-      const { section } = e.detail || {};
+      const { section, config } = e.detail || {};
       const previousSection = sectionRef.current;
       sectionRef.current = section;
+      playOnceRef.current = config?.playOnce || null;
 
-      // Reset animation flag when entering/leaving section 3
-      if (section === 3 && previousSection !== 3) {
+      // Reset animation flag whenever the section changes
+      if (section !== previousSection) {
         mattressAnimationStartedRef.current = false;
-        console.log("Entering section 3, resetting mattress animation flag");
-      }
-      if (previousSection === 3 && section !== 3) {
-        mattressAnimationStartedRef.current = false;
-        console.log("Leaving section 3, resetting mattress animation flag");
       }
     };
 
@@ -118,23 +203,19 @@ export function SceneContent({ onCenter, onLoadingComplete }) {
     }
   }, []);
 
+  // the only mixer update, ordered before the exploded view (FRAME_PRIORITY)
   useFrame((_, delta) => {
     if (!mixer || !actions) return;
-    const currentSection = sectionRef.current;
+    const playOnce = playOnceRef.current;
     const entries = scrubRef.current.entries;
 
-    // Section 3: Play mattress animation once
-    if (currentSection === 3) {
+    // Sections with `playOnce` (e.g. the mattress): play that animation once
+    if (playOnce) {
       if (!mattressAnimationStartedRef.current) {
-        console.log("Starting mattress animation once in section 3");
-        // Find mattress animation
+        // Find the first action matching any candidate (covers misspellings like "matress")
         const mattressActionName = Object.keys(actions).find((name) => {
           const lowerName = name.toLowerCase();
-          return (
-            lowerName.includes("mattress") ||
-            lowerName.includes("matress") || // Common misspelling
-            lowerName.includes("bed")
-          );
+          return playOnce.some((candidate) => lowerName.includes(candidate.toLowerCase()));
         });
         if (mattressActionName && actions[mattressActionName]) {
           // Disable all other actions first
@@ -161,7 +242,7 @@ export function SceneContent({ onCenter, onLoadingComplete }) {
       }
       mixer.update(delta);
     }
-    // Normal scroll-controlled animation for all other sections (including section 5)
+    // Normal scroll-controlled animation for all other sections
     else if (entries.length > 0) {
       if (scrubRef.current.exclusive) {
         Object.values(actions).forEach((a) => {
@@ -188,11 +269,11 @@ export function SceneContent({ onCenter, onLoadingComplete }) {
           console.log(`${name} animation: t=${t}, time=${a.time}, duration=${clip.duration}`);
         }
       });
-      mixer.update(0);
+      mixer.update(delta);
     } else {
-      mixer.update(0);
+      mixer.update(delta);
     }
-  });
+  }, FRAME_PRIORITY.mixer);
 
   if (loading) return null;
   if (error) {
@@ -0,0 +1,75 @@
+import React, { useEffect, useState } from "react";
+import { useFrame, useThree } from "@react-three/fiber";
+import { GroundedSkybox } from "three/examples/jsm/objects/GroundedSkybox.js";
+import { activeEnvironment, environmentStore, loadEnvironment } from "../utils/environments";
+import { useStore } from "../hooks/useStore";
+import environmentsConfig from "../data/environments.json";
+
+/**
+ * SceneEnvironment: the active environment as scene.environment, plus its optional
+ * background (plain or ground-projected). An environment whose HDRI fails to load shows the
+ * `fallback` environment instead. The previous map stays until the next one is ready;
+ * backgrounds dim with the lighting preset's environment intensity.
+ */
+export function SceneEnvironment({ config = environmentsConfig }) {
+  const { gl, scene } = useThree();
+  const id = activeEnvironment(config, useStore(environmentStore));
+  const [loaded, setLoaded] = useState(null); // { id, envMap, texture }
+  const [failed, setFailed] = useState(null); // id whose file didn't load
+  const shownId = failed === id ? config.fallback : id;
+  const file = config.environments[shownId]?.file;
+
+  useEffect(() => {
+    if (!file) return;
+    let cancelled = false;
+    // loadEnvironment logs a failure once; the fallback itself failing leaves the last map up
+    loadEnvironment(gl, file).then(
+      (maps) => {
+        if (cancelled) return;
+        setLoaded({ id: shownId, ...maps });
+        setFailed((f) => (f === shownId ? null : f));
+      },
+      () => {
+        if (!cancelled && shownId !== config.fallback) setFailed(shownId);
+      }
+    );
+    return () => { cancelled = true; };
+  }, [gl, shownId, file, config.fallback]);
+
+  const shown = loaded ? config.environments[loaded.id] : null;
+  const ground = shown?.background ? shown.ground : null;
+
+  useEffect(() => {
+    if (!loaded) return;
+    scene.environment = loaded.envMap;
+    scene.background = shown.background && !ground ? loaded.texture : null;
+    return () => {
+      if (scene.environment === loaded.envMap) scene.environment = null;
+      if (scene.background === loaded.texture) scene.background = null;
+    };
+  }, [scene, loaded, shown, ground]);
+
+  // a StrictMode remount re-runs this effect, so the skybox it frees is never the one shown
+  const [skybox, setSkybox] = useState(null);
+  useEffect(() => {
+    if (!loaded || !ground) {
+      setSkybox(null);
+      return;
+    }
+    const next = new GroundedSkybox(loaded.texture, ground.height, ground.radius);
+    next.position.y = ground.height;
+    setSkybox(next);
+    return () => {
+      next.geometry.dispose();
+      next.material.dispose();
+    };
+  }, [loaded, ground]);
+
+  useFrame(() => {
+    const intensity = scene.environmentIntensity ?? 1;
+    scene.backgroundIntensity = intensity;
+    skybox?.material.color.setScalar(intensity);
+  });
+
+  return skybox ? <primitive object={skybox} /> : null;
+}
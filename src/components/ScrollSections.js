@@ -1,6 +1,18 @@
 import React, { useRef, useEffect } from "react";
 import * as THREE from "three";
 import { useAnimationAPI } from "../hooks/useAnimationAPI";
+import { compileSections, makeClipResolver } from "../utils/tourManifest";
+import { toPose } from "../utils/cameraPath";
+import { createTentStateMachine } from "../utils/tentStateMachine";
+import { createTimeline } from "../utils/timeline";
+import { parseDeepLink, scrollTopFor, writeSectionHash } from "../utils/deepLinks";
+import { exploreStore } from "../utils/exploreStore";
+import { explodeStore } from "../utils/explode";
+import { cutawayStore } from "../utils/cutaway";
+import { lightingStore } from "../utils/lighting";
+import { environmentStore } from "../utils/environments";
+import { weatherStore } from "../utils/weather";
+import tourManifest from "../data/tourManifest.json";
 
 /* =========================
  * Camera pose helpers
@@ -9,6 +21,7 @@ const CAM_EPS = 0.005;
 const CAM_MIN_DUR = 0.6;
 const CAM_MAX_DUR = 4.0;
 const CAM_DIST_TO_DUR = 1.2;
+const CAM_PATH_BLEND = 0.8; // seconds to ease from the current view onto a spline path
 
 function vec3From(v) {
   return v instanceof THREE.Vector3 ? v.clone() : new THREE.Vector3().fromArray(Array.isArray(v) ? v : [0, 0, 0]);
@@ -21,20 +34,21 @@ function poseDistance(a, b) {
 }
 function createCameraQueue() {
   const state = { lastSent: null, pending: null, raf: 0 };
-  const dispatch = ({ position, target, duration, immediate }) => {
+  const dispatch = ({ position, target, duration, immediate, follow }) => {
     const pos = position instanceof THREE.Vector3 ? position.toArray() : position;
     const tar = target instanceof THREE.Vector3 ? target.toArray() : target;
-    window.dispatchEvent(new CustomEvent("setCameraPose", { detail: { position: pos, target: tar, duration, immediate } }));
+    window.dispatchEvent(new CustomEvent("setCameraPose", { detail: { position: pos, target: tar, duration, immediate, follow } }));
   };
   const flush = () => {
     state.raf = 0;
     if (!state.pending) return;
-    const { pose, baseDuration = 2.0, immediate = false } = state.pending;
+    const { pose, baseDuration = 2.0, immediate = false, follow = false } = state.pending;
     const delta = poseDistance(state.lastSent, pose);
     if (!state.lastSent || delta > CAM_EPS) {
       const durFromDelta = THREE.MathUtils.clamp(delta * CAM_DIST_TO_DUR, CAM_MIN_DUR, CAM_MAX_DUR);
-      const finalDuration = Math.max(baseDuration ?? 0, durFromDelta);
-      dispatch({ ...pose, duration: immediate ? 0 : finalDuration, immediate });
+      // follow: rig tracks the pose exactly after blending in over baseDuration
+      const finalDuration = follow ? baseDuration : Math.max(baseDuration ?? 0, durFromDelta);
+      dispatch({ ...pose, duration: immediate ? 0 : finalDuration, immediate, follow });
       state.lastSent = { position: vec3From(pose.position), target: vec3From(pose.target), duration: finalDuration };
     }
     state.pending = null;
@@ -93,9 +107,15 @@ function makeSetGeo1Style(api) {
       if (child.name === "geo1" && child.material) {
         const setMat = (m) => {
           const targetOpacity = active ? 0.5 : 1.0;
-          const targetColor = active ? 0xc39718 : 0xffffff;
           if (materialAnimations.has(m)) cancelAnimationFrame(materialAnimations.get(m));
-          m.color.setHex(targetColor);
+          // highlight gold, then restore whatever colour it had (e.g. a configurator finish)
+          if (active) {
+            if (!m.userData.preHighlightColor) m.userData.preHighlightColor = m.color.clone();
+            m.color.setHex(0xc39718);
+          } else if (m.userData.preHighlightColor) {
+            m.color.copy(m.userData.preHighlightColor);
+            delete m.userData.preHighlightColor;
+          }
           const startOpacity = m.opacity;
           const startTime = performance.now();
           const duration = 300;
@@ -144,457 +164,252 @@ function resolveClipName(requested, clipNames) {
   return clipNames.find((c) => c.toLowerCase().includes(lower)) || null;
 }
 
-/* =========================
- * Camera flythrough poses (Section 7)
- * ========================= */
-const FLY_POSES = [
-  { position: new THREE.Vector3(0, 0.8, -7),   target: new THREE.Vector3(0, 0.5, 0), moveDuration: 0.1, holdDuration: 0.1 },
-  { position: new THREE.Vector3(0, 0.5, -1.4), target: new THREE.Vector3(0, 2,   0), moveDuration: 0.1, holdDuration: .1 },
-  { position: new THREE.Vector3(0, 0.5, -1.4), target: new THREE.Vector3(0, 2,   0), moveDuration: 0,  holdDuration: 0.1 },
-];
 
 /* =========================
- * Camera flythrough poses (Section 8)
+ * ScrollSections (manifest-driven)
  * ========================= */
-const SECTION8_FLY_POSES = [
-  { position: new THREE.Vector3(0, 0.5, -5), target: new THREE.Vector3(0, 0, 0), moveDuration: 1.5, holdDuration: 1.0 },
-  { position: new THREE.Vector3(3, 0.5, -5), target: new THREE.Vector3(0, 0, 0), moveDuration: 0.1, holdDuration: 0 },
-  { position: new THREE.Vector3(3, 1.6, 3.4), target: new THREE.Vector3(0, 0.5, 0), moveDuration: 4.0, holdDuration: 1.0 },
-];
-
-/* =========================================================
- * CONFIG: Define what each section does (clips & camera)
- * ========================================================= */
-function buildSectionDefs(api, utils) {
-  const { setGeo1Style, show3in, resolve, tentOpenClose } = utils;
-  const door = resolve("Door");
-
-  return [
-    /* ===== 1. Open/Setup (reversed like before) ===== */
-    {
-      id: 1,
-      label: "Open/Setup",
-      actions: [
-        { mode: "scrub", clip: resolve("animation0"), map: (s) => Math.max(0, 1 - s) },
-        { mode: "scrub", clip: tentOpenClose,        map: (s) => Math.max(0, 1 - s) },
-        { mode: "snap",  clip: resolve("animation0"), when: (s) => s >= 0.98, t: 0 },
-        { mode: "snap",  clip: tentOpenClose,         when: (s) => s >= 0.98, t: 0 },
-      ],
-      onEnter: () => { setGeo1Style(false); show3in(false); },
-      onUpdate: () => {},
-      onExit: () => {},
-      camera: {
-        mode: "fixed",
-        getPose: () => ({ position: new THREE.Vector3(3.2, 1.7, -3.6), target: new THREE.Vector3(0, 0.5, 0) }),
-        baseDuration: (_, fast) => (fast ? 1.2 : 3.5),
-      },
-    },
-
-    /* ===== 2. Static (same camera as 1, NO animations) ===== */
-    {
-      id: 2,
-      label: "Static Hold",
-      actions: [],
-      onEnter: () => { setGeo1Style(false); show3in(false); },
-      onUpdate: () => {},
-      onExit: () => {},
-      camera: {
-        mode: "fixed",
-        getPose: () => ({ position: new THREE.Vector3(3.2, 1.7, -3.6), target: new THREE.Vector3(0, 0.5, 0) }),
-        baseDuration: (_, fast) => (fast ? 1.2 : 3.5),
-      },
-    },
-
-    /* ===== 3. Neutral (no door/backwindow here anymore) ===== */
-    {
-      id: 3,
-      label: "Neutral",
-      actions: [],
-      onEnter: () => { setGeo1Style(true); show3in(false); },
-      onUpdate: () => {},
-      onExit: () => {},
-      camera: {
-        mode: "fixed",
-        getPose: () => ({ position: new THREE.Vector3(1.7, 1.15, -1.05), target: new THREE.Vector3(-0.7, 0.9, -1) }),
-        baseDuration: (_, fast) => (fast ? 1.0 : 3.0),
-      },
-    },
-
-    /* ===== 4. Door Open (scroll-scrub) ===== */
-    {
-      id: 4,
-      label: "Door Open",
-      actions: [
-        { mode: "scrub", clip: door, map: (s) => s },
-      ],
-      onEnter: () => { setGeo1Style(true); show3in(false); },
-      onUpdate: () => {},
-      onExit: () => {},
-      camera: {
-        mode: "fixed",
-        getPose: () => ({ position: new THREE.Vector3(1.7, 1.15, -.8), target: new THREE.Vector3(-0.7, 0.9, -.8) }),
-        baseDuration: (_, fast) => (fast ? 1.0 : 3.0),
-      },
-    },
-
-    /* ===== 5. Side ONLY (scroll-scrub) ===== */
-    {
-      id: 5,
-      label: "Side",
-      actions: [
-        // Door animation from 1 to 0 at start of section
-        { mode: "scrub", clip: door, map: (s) => Math.max(0, 1 - s) },
-        { mode: "snap", clip: resolve("BackWindow"), t: 0 },
-        { mode: "scrub", clip: resolve("Side"), map: (s) => s },
-      ],
-      onEnter: () => { show3in(false); },
-      onUpdate: () => {},
-      onExit: () => {},
-      camera: {
-        mode: "fixed",
-        getPose: () => ({ position: new THREE.Vector3(0, 1.5, -5), target: new THREE.Vector3(0, 0, 0) }),
-        baseDuration: (_, fast) => (fast ? 1.2 : 3.5),
-      },
-    },
-
-    /* ===== 6. BackWindow Open (keep Side open; non-exclusive scrubs in loop) ===== */
-    {
-      id: 6,
-      label: "BackWindow Open",
-      actions: [
-        { mode: "scrub", clip: resolve("BackWindow"), map: (s) => s },
-        // IMPORTANT: We won't touch "Side" here; loop uses non-exclusive to preserve it.
-      ],
-      onEnter: () => { show3in(false); },
-      onUpdate: () => {},
-      onExit: () => {},
-      camera: {
-        mode: "fixed",
-        getPose: () => ({ position: new THREE.Vector3(0, 1.5, -5), target: new THREE.Vector3(0, 0, 0) }),
-        baseDuration: (_, fast) => (fast ? 1.2 : 3.5),
-      },
-    },
-
-    /* ===== 7. Cinematic flythrough (independent of scroll) ===== */
-    {
-      id: 7,
-      label: "Flythrough",
-      actions: [
-        { mode: "snap", clip: door,                  t: 1 },
-        { mode: "snap", clip: resolve("BackWindow"), t: 1 },
-        { mode: "snap", clip: resolve("Side"),       t: 1 },
-      ],
-      onEnter: () => { setGeo1Style(false); show3in(false); },
-      onUpdate: () => {},
-      onExit: () => {},
-      camera: { mode: "timeline", poses: FLY_POSES },
-    },
-
-    /* ===== 8. Return/Close (snap with timer progression) ===== */
-    {
-      id: 8,
-      label: "Return/Close",
-      actions: [
-        { mode: "snap", clip: resolve("BackWindow"), t: 1 }, // will be driven by timer
-        { mode: "snap", clip: resolve("Side"),       t: 1 }, // will be driven by timer
-        { mode: "snap", clip: resolve("animation0"), t: 0.98 },
-        { mode: "snap", clip: tentOpenClose,         t: 0.98 },
-      ],
-      onEnter: () => { setGeo1Style(false); show3in(false); },
-      onUpdate: () => {},
-      onExit: () => {},
-      camera: { mode: "timeline", poses: SECTION8_FLY_POSES },
-    },
-  ];
-}
-
-/* =========================
- * ScrollSections (config-driven)
- * ========================= */
-export function ScrollSections() {
+export function ScrollSections({ manifest = tourManifest }) {
   const api = useAnimationAPI();
 
-  // section refs (1..8)
-  const sectRefs = {
-    1: useRef(null),
-    2: useRef(null), // static section after 1
-    3: useRef(null),
-    4: useRef(null), // Door Open
-    5: useRef(null), // Side ONLY
-    6: useRef(null), // BackWindow Open (keep Side open)
-    7: useRef(null), // Flythrough
-    8: useRef(null), // Return/Close
-  };
+  // section elements, indexed like SECTION_DEFS
+  const sectionEls = useRef([]);
 
   // systems
   const camQRef = useRef(null);
   const animatorRef = useRef(null);
+  const tentRef = useRef(null);
   if (!camQRef.current) camQRef.current = createCameraQueue();
   if (!animatorRef.current) animatorRef.current = createAnimator(api);
+  if (!tentRef.current) tentRef.current = createTentStateMachine(animatorRef.current);
 
   // per-run state
   const triggeredTweensRef = useRef(new Set());
-  const section7RunnerRef = useRef({ running: false, start: 0, i: 0 }); // Flythrough (7)
-  const section8RunnerRef = useRef({ running: false, start: 0, i: 0 }); // Return/Close camera (8)
-  const section8AnimRunnerRef = useRef({ running: false, start: 0 });   // Return/Close animation driver
+  const timelineRef = useRef(null); // { id, timeline, scrollLocked } of the active section
+  const mainRef = useRef(null);
+  const rebindRef = useRef(null); // { timeline } left by the previous binding (e.g. proxy → full model swap)
 
   // helpers that depend on api
   const setGeo1Style = makeSetGeo1Style(api);
   const show3in = makeShow3in(api);
-  const resolve = (name) => resolveClipName(name, api.clipNames || []);
-  const tentOpenClose = resolve("TentOPENCLOSE") || resolve("tentOpenClose") || resolve("TentOpenClose");
-
-  // initial "open" state
-  const ensureInitialOpenState = () => {
-    const entries = [];
-    const a0 = resolve("animation0");
-    const oc = resolve("TentOPENCLOSE") || resolve("tentOpenClose") || resolve("TentOpenClose");
-    if (a0) entries.push({ name: a0, t: 0.98 });
-    if (oc) entries.push({ name: oc, t: 0.98 });
-    if (entries.length) animatorRef.current.scrub(entries, true);
+  const resolve = makeClipResolver(manifest, (name) => resolveClipName(name, api.clipNames || []));
+
+  // initial tent state (before the first section)
+  const ensureInitialState = () => {
+    const tent = tentRef.current;
+    tent.reset();
+    if (manifest.initialState) tent.set(manifest.initialState);
     show3in(false);
   };
 
   // build section config
-  const SECTION_DEFS = buildSectionDefs(api, { setGeo1Style, show3in, resolve, tentOpenClose });
+  const SECTION_DEFS = compileSections(manifest, {
+    resolve,
+    effects: { highlightGeo1: setGeo1Style, show3in },
+  });
+  const idlePose = toPose(manifest.idle || { position: [3, 1.6, 3.4], target: [0, 0.5, 0] });
+  const idleDuration = manifest.idle?.duration ?? 4.0;
 
   // camera helpers
   const queueCam = (pose, opts = {}) => camQRef.current.queue(pose, opts);
 
-  // section 7 camera timeline engine
-  function startFlythrough() {
-    const runner = section7RunnerRef.current;
-    runner.running = true;
-    runner.start = performance.now();
-    runner.i = 0;
-
-    const step = () => {
-      if (!runner.running) return;
-      const elapsed = (performance.now() - runner.start) / 1000;
-      let tUsed = 0;
-      for (let k = 0; k < FLY_POSES.length; k++) {
-        const seg = FLY_POSES[k];
-        const segLen = seg.moveDuration + seg.holdDuration;
-        if (elapsed < tUsed + segLen) {
-          runner.i = k;
-          const inSeg = elapsed - tUsed;
-          const moving = inSeg <= seg.moveDuration;
-          queueCam(
-            { position: seg.position, target: seg.target },
-            { baseDuration: moving ? seg.moveDuration : 0.1, immediate: false }
-          );
-          requestAnimationFrame(step);
-          return;
-        }
-        tUsed += segLen;
-      }
-      runner.running = false;
-    };
-    requestAnimationFrame(step);
-  }
-  function stopFlythrough() { section7RunnerRef.current.running = false; }
-
-  // section 8 camera timeline engine
-  function startSection8Flythrough() {
-    const runner = section8RunnerRef.current;
-    runner.running = true;
-    runner.start = performance.now();
-    runner.i = 0;
-
-    const step = () => {
-      if (!runner.running) return;
-      const elapsed = (performance.now() - runner.start) / 1000;
-      let tUsed = 0;
-      for (let k = 0; k < SECTION8_FLY_POSES.length; k++) {
-        const seg = SECTION8_FLY_POSES[k];
-        const segLen = seg.moveDuration + seg.holdDuration;
-        if (elapsed < tUsed + segLen) {
-          runner.i = k;
-          const inSeg = elapsed - tUsed;
-          const moving = inSeg <= seg.moveDuration;
-          queueCam(
-            { position: seg.position, target: seg.target },
-            { baseDuration: moving ? seg.moveDuration : 0.1, immediate: false }
-          );
-          requestAnimationFrame(step);
+  // section timeline: camera poses + clip tweens on one clock (camera.mode "timeline" and/or clipTimeline)
+  // snap: the first camera pose is applied without easing (deep links)
+  function startSectionTimeline(def, { fromBelow = false, snap = false } = {}) {
+    stopSectionTimeline();
+    const tent = tentRef.current;
+    const poses = def.camera?.mode === "timeline" ? def.camera.poses : [];
+    const path = def.camera?.mode === "path" ? def.camera.path : null;
+    const clips = def.clipTimeline || [];
+    if (!poses.length && !path && !clips.length) return;
+
+    const timeline = createTimeline({
+      poses,
+      path,
+      pathDuration: def.camera?.duration ?? 6,
+      clips,
+      onCamera: (pose, { moving, exact }) => {
+        const immediate = snap;
+        snap = false;
+        if (exact) {
+          queueCam(pose, { baseDuration: def.camera.blendIn ?? CAM_PATH_BLEND, follow: true, immediate });
           return;
         }
-        tUsed += segLen;
-      }
-      runner.running = false;
-    };
-    requestAnimationFrame(step);
+        queueCam(
+          { position: pose.position, target: pose.target },
+          { baseDuration: moving ? pose.moveDuration : 0.1, immediate }
+        );
+      },
+      // clip poses go through the state machine so untouched clips keep the section state
+      onClips: (entries) => {
+        if (def.state) tent.set(tent.pose(def.state, Object.fromEntries(entries.map(({ name, t }) => [name, t]))));
+        else animatorRef.current.scrub(entries, false);
+      },
+    });
+    timelineRef.current = { id: def.id, timeline, scrollLocked: !!def.timeline.scrollLocked };
+    if (!def.timeline.scrollLocked) timeline.play({ reverse: fromBelow && !!def.timeline.reverseFromBelow });
   }
-  function stopSection8Flythrough() { section8RunnerRef.current.running = false; }
-
-  // section 8 animation runner
-  function startSection8Animation() {
-    const runner = section8AnimRunnerRef.current;
-    if (runner.running) return;
-    runner.running = true;
-    runner.start = performance.now();
-
-    const animator = animatorRef.current;
-
-    const animationTimeline = [
-      { clip: resolve("Door"),        startTime: 0,   duration: 1000, from: 1, to: 0 },
-      { clip: resolve("BackWindow"),  startTime: 0,   duration: 2000, from: 1, to: 0 },
-      { clip: resolve("Side"),        startTime: 200, duration: 2000, from: 1, to: 0 },
-      { clip: tentOpenClose,          startTime: 600, duration: 1800, from: 0, to: 1 },
-      { clip: resolve("animation0"),  startTime: 400, duration: 2000, from: 0, to: 1 },
-    ].filter(anim => anim.clip);
-
-    const step = () => {
-      if (!runner.running) return;
-
-      const elapsed = performance.now() - runner.start;
-      const entries = [];
-      let anyActive = false;
-
-      for (const anim of animationTimeline) {
-        const animElapsed = elapsed - anim.startTime;
-
-        if (animElapsed >= 0) {
-          if (animElapsed <= anim.duration) {
-            anyActive = true;
-            const progress = Math.min(animElapsed / anim.duration, 1);
-            const t = anim.from + (anim.to - anim.from) * progress;
-            entries.push({ name: anim.clip, t });
-          } else {
-            entries.push({ name: anim.clip, t: anim.to });
-          }
-        } else {
-          entries.push({ name: anim.clip, t: anim.from });
-        }
-      }
-
-      if (entries.length) animator.scrub(entries, false);
-      if (anyActive) requestAnimationFrame(step);
-      else runner.running = false;
-    };
-
-    requestAnimationFrame(step);
+  function stopSectionTimeline() {
+    timelineRef.current?.timeline.stop();
+    timelineRef.current = null;
   }
-  function stopSection8Animation() { section8AnimRunnerRef.current.running = false; }
 
   // scroll orchestration
   useEffect(() => {
     if (!api || !api.clipNames || api.clipNames.length === 0) return;
     const animator = animatorRef.current;
     const camQ = camQRef.current;
+    const tent = tentRef.current;
+    const count = SECTION_DEFS.length;
+    tent.configure({ states: manifest.states, resolve });
 
-    window.scrollTo(0, 0);
+    // Rebinding to a new model mid-tour keeps the scroll position and camera; the kick
+    // below re-enters the current section and snaps the tent pose onto the new clips.
+    const rebind = rebindRef.current;
+    rebindRef.current = null;
 
     // baseline camera: immediate snap to idle
     camQ.reset();
-    queueCam(
-      { position: new THREE.Vector3(3, 1.6, 3.4), target: new THREE.Vector3(0, 0.5, 0) },
-      { baseDuration: 0, immediate: true }
-    );
+    if (!rebind) queueCam(idlePose, { baseDuration: 0, immediate: true });
 
-    // initial animation state
-    setTimeout(() => { ensureInitialOpenState(); }, 0);
+    // deep link (#section=5, ?view=rear-hatch) or start of the page
+    const jumpTo = (target, smooth = false) => {
+      const el = sectionEls.current[target.index];
+      if (el) window.scrollTo({ top: scrollTopFor(el, target.progress), behavior: smooth ? "smooth" : "auto" });
+    };
+    const link = rebind ? null : parseDeepLink(SECTION_DEFS, manifest.views);
+    let snapCamera = !!link; // first pose after a deep link is applied without easing
+    if (rebind) {
+      // scroll position and camera stay where they are
+    } else if (link) {
+      tent.reset(); // empty live pose: the first section pose is applied immediately
+      jumpTo(link);
+    } else {
+      window.scrollTo(0, 0);
+      // initial animation state
+      setTimeout(() => { ensureInitialState(); }, 0);
+    }
 
     let lastScrollTime = 0;
-    let lastProgress = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0, 6: 0, 7: 0, 8: 0 };
+    let lastProgress = new Array(count).fill(0);
     let lastSection = 0;
 
     const onScroll = () => {
+      // explore mode owns the camera (and locks page scroll) until it exits
+      if (exploreStore.get().active) return;
       const now = performance.now();
-      const p = {
-        1: progressFor(sectRefs[1].current),
-        2: progressFor(sectRefs[2].current),
-        3: progressFor(sectRefs[3].current),
-        4: progressFor(sectRefs[4].current),
-        5: progressFor(sectRefs[5].current),
-        6: progressFor(sectRefs[6].current),
-        7: progressFor(sectRefs[7].current),
-        8: progressFor(sectRefs[8].current),
-      };
-
-      // determine current section
+      const p = SECTION_DEFS.map((_, i) => progressFor(sectionEls.current[i]));
+
+      // determine current section (1-based, 0 = none)
       let currentSection = 0;
-      for (let i = 1; i <= 8; i++) {
-        if (p[i] > 0 && p[i] <= 1) { currentSection = i; break; }
+      for (let i = 0; i < count; i++) {
+        if (p[i] > 0 && p[i] <= 1) { currentSection = i + 1; break; }
       }
-      const anyActive = Object.values(p).some(v => v > 0);
+      const anyActive = p.some(v => v > 0);
       const isInTransition = currentSection === 0 && anyActive;
-
-      if (currentSection !== lastSection) {
-        window.dispatchEvent(new CustomEvent("sectionChange", { detail: { section: currentSection } }));
-        if (lastSection > 0) SECTION_DEFS[lastSection - 1].onExit?.();
-        if (currentSection > 0) {
-          SECTION_DEFS[currentSection - 1].onEnter?.();
+      const def = currentSection > 0 ? SECTION_DEFS[currentSection - 1] : null;
+      const progress = def ? p[currentSection - 1] : 0;
+
+      const sectionChanged = currentSection !== lastSection;
+      if (sectionChanged) {
+        const prevDef = lastSection > 0 ? SECTION_DEFS[lastSection - 1] : null;
+        window.dispatchEvent(new CustomEvent("sectionChange", {
+          detail: { section: currentSection, id: def?.id ?? null, config: def?.config ?? null },
+        }));
+        writeSectionHash(def);
+        prevDef?.onExit?.();
+        if (def) {
+          def.onEnter?.();
           [...triggeredTweensRef.current].forEach((key) => {
             if (key.startsWith(`${currentSection}:`)) triggeredTweensRef.current.delete(key);
           });
         }
 
-        // section 7 flythrough
-        if (currentSection === 7 && !section7RunnerRef.current.running) startFlythrough();
-        if (lastSection === 7 && section7RunnerRef.current.running) stopFlythrough();
-
-        // section 8 flythrough + animation
-        if (currentSection === 8 && !section8RunnerRef.current.running) {
-          startSection8Flythrough();
-          startSection8Animation();
-        }
-        if (lastSection === 8 && section8RunnerRef.current.running) {
-          stopSection8Flythrough();
-          stopSection8Animation();
+        // timelines belong to a single section
+        if (prevDef) stopSectionTimeline();
+        if (def?.clipTimeline && def.state) {
+          // reconcile into the timeline's start state; timeline poses retarget the transition
+          tent.goTo(def.state);
         }
+        if (def) startSectionTimeline(def, { fromBelow: lastSection > currentSection, snap: snapCamera });
 
         lastSection = currentSection;
       }
 
       // scroll speed for camera durations
       const deltaTime = now - lastScrollTime;
-      const diffs = [1, 2, 3, 4, 5, 6, 7, 8].map(i => Math.abs(p[i] - lastProgress[i]));
-      const maxDelta = Math.max(...diffs);
+      const diffs = p.map((v, i) => Math.abs(v - (lastProgress[i] ?? 0)));
+      const maxDelta = Math.max(0, ...diffs);
       const isFast = deltaTime > 0 && maxDelta / deltaTime > 0.001;
 
       // build animation scrubs/snaps for the active section
       let scrubs = [];
-      if (currentSection > 0) {
-        const def = SECTION_DEFS[currentSection - 1];
-        def.onUpdate?.(p[currentSection]);
+      if (def) {
+        def.onUpdate?.(progress);
 
         for (const act of def.actions) {
           if (!act.clip) continue;
           if (act.mode === "scrub") {
-            const t = THREE.MathUtils.clamp(act.map(p[currentSection] ?? 0), 0, 1);
+            const t = THREE.MathUtils.clamp(act.map(progress ?? 0), 0, 1);
             scrubs.push({ name: act.clip, t });
           } else if (act.mode === "snap") {
-            const cond = act.when ? !!act.when(p[currentSection]) : true;
+            const cond = act.when ? !!act.when(progress) : true;
             if (cond) scrubs.push({ name: act.clip, t: THREE.MathUtils.clamp(act.t ?? 0, 0, 1) });
           }
         }
 
+        // scroll-locked timelines follow section progress instead of their own clock
+        if (timelineRef.current?.scrollLocked && timelineRef.current.id === def.id) {
+          timelineRef.current.timeline.setProgress(progress);
+        }
+
         // camera per section
-        if (def.camera?.mode === "fixed") {
-          const pose = def.camera.getPose(p[currentSection]);
-          queueCam(pose, { baseDuration: def.camera.baseDuration?.(p[currentSection], isFast) ?? 2.0 });
+        if (def.camera?.mode === "fixed" || def.camera?.mode === "cutaway") {
+          const pose = def.camera.getPose(progress);
+          queueCam(pose, { baseDuration: def.camera.baseDuration?.(progress, isFast) ?? 2.0, immediate: snapCamera });
         }
       }
 
-      // Send scrubs: Section 6 must be NON-EXCLUSIVE to preserve Side's open state
-      if (currentSection === 8) {
-        // Section 8 animations are driven by its timer-runner
+      // exploded view follows section progress where the manifest asks for it, collapsed elsewhere
+      explodeStore.set({ amount: def?.explode ? THREE.MathUtils.clamp(def.explode(progress), 0, 1) : 0 });
+      // so does the cutaway plane in "cutaway" camera sections
+      const cut = def?.camera?.cut;
+      cutawayStore.set(cut
+        ? { active: true, axis: cut.axis, flip: cut.flip, offset: THREE.MathUtils.clamp(cut.offset(progress), 0, 1) }
+        : { active: false });
+      lightingStore.set({ section: def?.config.lighting ?? null });
+      environmentStore.set({ section: def?.config.environment ?? null });
+      weatherStore.set({ section: def?.config.weather ?? null });
+
+      // Tent pose: the section's state plus its scrubs/snaps. Entering a section (from any
+      // direction, or skipping several) tweens from the live pose; in-section updates apply directly.
+      if (def?.clipTimeline) {
+        // clips are driven by the section's timeline runner
+      } else if (def?.state) {
+        const pose = tent.pose(def.state, Object.fromEntries(scrubs.map(({ name, t }) => [name, t])));
+        if (sectionChanged) tent.goTo(pose);
+        else tent.set(pose);
+      } else if (!def && !anyActive && manifest.initialState && manifest.finalState) {
+        // outside the tour: closed above the first section, final state below the last
+        const first = sectionEls.current[0];
+        const above = first ? first.getBoundingClientRect().top > 0 : true;
+        const name = above ? manifest.initialState : manifest.finalState;
+        if (sectionChanged) tent.goTo(name);
+        else tent.set(name);
       } else if (scrubs.length) {
-        const exclusive = currentSection !== 6; // <-- keep Side open in section 6, but all other sections (including 5) are exclusive
-        animator.scrub(scrubs, exclusive);
-      } else {
+        // legacy sections without a state: non-exclusive ones preserve clips they don't touch
+        animator.scrub(scrubs, def ? def.exclusive : true);
+      } else if (!def) {
         window.dispatchEvent(new Event("clearScrub"));
       }
 
       // idle camera when nothing is active and not transitioning
       if (!anyActive && !isInTransition) {
-        const idle = { position: new THREE.Vector3(3, 1.6, 3.4), target: new THREE.Vector3(0, 0.5, 0) };
-        queueCam(idle, { baseDuration: 4.0 });
+        queueCam(idlePose, { baseDuration: idleDuration });
       }
 
       lastScrollTime = now;
       lastProgress = p;
+      snapCamera = false;
     };
 
     // wire events
@@ -605,21 +420,59 @@ export function ScrollSections() {
     };
     const onResize = () => onScroll();
 
+    // external control of the active section timeline: { action: "pause" | "resume" | "seek" | "reverse", time }
+    const onTimelineControl = (e) => {
+      const { action, time } = e.detail || {};
+      const timeline = timelineRef.current?.timeline;
+      if (!timeline) return;
+      if (action === "pause") timeline.pause();
+      else if (action === "resume") timeline.resume();
+      else if (action === "seek") timeline.seek(time ?? 0);
+      else if (action === "reverse") timeline.reverse();
+    };
+
+    // links pasted into an open page scroll there smoothly
+    const onHashChange = () => {
+      const target = parseDeepLink(SECTION_DEFS, manifest.views);
+      if (target) jumpTo(target, true);
+    };
+
     window.addEventListener("scroll", throttledScroll, { passive: true });
     window.addEventListener("resize", onResize);
+    window.addEventListener("timelineControl", onTimelineControl);
+    window.addEventListener("hashchange", onHashChange);
+
+    // explore mode: the page underneath stops taking the pointer; on exit the camera
+    // returns to wherever the tour is
+    const unsubExplore = exploreStore.subscribe(({ active }) => {
+      if (mainRef.current) mainRef.current.style.pointerEvents = active ? "none" : "";
+      if (!active) {
+        camQ.reset();
+        onScroll();
+      }
+    });
 
     // kick
     onScroll();
 
+    // a running section timeline continues from where the previous binding left it
+    if (rebind?.timeline && timelineRef.current?.id === rebind.timeline.id && !timelineRef.current.scrollLocked) {
+      timelineRef.current.timeline.seek(rebind.timeline.time);
+    }
+
     return () => {
+      const active = timelineRef.current;
+      rebindRef.current = { timeline: active ? { id: active.id, time: active.timeline.time } : null };
       window.removeEventListener("scroll", throttledScroll);
       window.removeEventListener("resize", onResize);
       if (scrollTimeout) clearTimeout(scrollTimeout);
       camQ.reset();
       animator.cancelAll();
-      stopFlythrough();
-      stopSection8Flythrough();
-      stopSection8Animation();
+      tent.reset();
+      window.removeEventListener("timelineControl", onTimelineControl);
+      window.removeEventListener("hashchange", onHashChange);
+      unsubExplore();
+      stopSectionTimeline();
     };
   }, [api]); // rebind when clipNames/group change
 
@@ -632,25 +485,32 @@ export function ScrollSections() {
   }, []);
 
   return (
-    <main className="relative z-10">
+    <main ref={mainRef} className="relative z-10">
       <div className="absolute inset-0 w-full h-full" />
       <section className="px-6 py-16 max-w-3xl mx-auto relative z-20" />
-      {/* 1..8 */}
-      <section ref={sectRefs[1]} className="min-h-[120vh] px-6 py-24 border-slate-800 relative z-20"><div /></section>
-      <section ref={sectRefs[2]} className="min-h-[120vh] px-6 py-24 border-slate-800 relative z-20"><div /></section>
-      <section ref={sectRefs[3]} className="min-h-[120vh] px-6 py-24 border-slate-800 relative z-20"><div /></section>
-      {/* Door open */}
-      <section ref={sectRefs[4]} className="min-h-[120vh] px-6 py-24 border-slate-800 relative z-20"><div /></section>
-      {/* Side only */}
-      <section ref={sectRefs[5]} className="min-h-[120vh] px-6 py-24 border-slate-800 relative z-20"><div /></section>
-      {/* BackWindow open, keep Side open */}
-      <section ref={sectRefs[6]} className="min-h-[120vh] px-6 py-24 border-slate-800 relative z-20"><div /></section>
-      {/* Flythrough */}
-      <section ref={sectRefs[7]} className="min-h-[350vh] px-6 py-24 border-slate-800 relative z-20"><div /></section>
-      {/* Return/Close */}
-      <section ref={sectRefs[8]} className="min-h-[120vh] px-6 py-24 border-slate-800 relative z-20"><div /></section>
-
-      <section className="px-6 py-24 border-slate-800 relative z-20"><div /></section>
+      {SECTION_DEFS.map((def, i) => (
+        <section
+          key={def.id}
+          ref={(el) => { sectionEls.current[i] = el; }}
+          data-section={def.id}
+          aria-label={def.label}
+          className="px-6 py-24 border-slate-800 relative z-20"
+          style={{ minHeight: def.height }}
+        >
+          <div />
+        </section>
+      ))}
+
+      {/* end of the tour: hand the model over for free inspection */}
+      <section className="px-6 py-24 border-slate-800 relative z-20 flex justify-center">
+        <button
+          type="button"
+          onClick={() => exploreStore.set({ orbit: true })}
+          className="rounded-xl border border-slate-700 bg-black/60 px-5 py-3 text-sm font-semibold tracking-wide text-white hover:bg-white/10"
+        >
+          Explore the Model in 3D
+        </button>
+      </section>
     </main>
   );
 }
@@ -0,0 +1,113 @@
+import React, { useEffect, useMemo, useRef, useState, useSyncExternalStore } from "react";
+import * as THREE from "three";
+import { animationsBridge } from "../utils/animationsBridge";
+import { getModelEntry } from "../utils/modelLoader";
+import {
+  computeFraming, createStandInTruck, fitmentReport, fitmentStore, IDENTITY_FRAMING, placeTruck, readTruck,
+} from "../utils/fitment";
+import { useStore } from "../hooks/useStore";
+import trucksConfig from "../data/trucks.json";
+
+const noSubscribe = () => () => {};
+const noSnapshot = () => null;
+
+/**
+ * TruckFitment: the selected truck model, with the camper (children) lifted into its bed
+ * - Truck GLBs load on demand through the shared model loader; until one is in (or if it
+ *   fails) the camper stays on the ground. Trucks without a `url` get a stand-in body.
+ * - Publishes the fitment report and camera framing to fitmentStore (see utils/fitment.js).
+ */
+export function TruckFitment({ config = trucksConfig, children }) {
+  const { truck: selected } = useStore(fitmentStore);
+  const truckId = selected ?? readTruck(config);
+  const truck = config.trucks.find((t) => t.id === truckId && t.bed) || null;
+  const entry = truck?.url ? getModelEntry(truck.url) : null;
+  const loaded = useSyncExternalStore(entry?.subscribe ?? noSubscribe, entry?.get ?? noSnapshot);
+  const [built, setBuilt] = useState(null); // { truck, standIn } for trucks without a model
+  const standIn = built?.truck === truck ? built.standIn : null;
+  const truckScene = standIn?.object ?? loaded?.gltf?.scene ?? null;
+  const status = standIn ? "done" : loaded?.status;
+
+  // built and freed by the same effect, so a StrictMode remount gets a fresh one
+  useEffect(() => {
+    if (!truck || truck.url) return;
+    const next = createStandInTruck(truck.bed);
+    setBuilt({ truck, standIn: next });
+    return () => next.dispose();
+  }, [truck]);
+
+  const liftedRef = useRef(null);
+  const truckRef = useRef(null);
+  const [tentBox, setTentBox] = useState(null);
+
+  // camper bounds in the lifted group's frame, re-measured for every published model
+  useEffect(() => {
+    const unsub = animationsBridge.subscribe(({ group }) => {
+      const tent = group?.current;
+      const lifted = liftedRef.current;
+      if (!tent || !lifted) return;
+      lifted.updateWorldMatrix(true, false);
+      const box = new THREE.Box3().setFromObject(tent);
+      setTentBox(box.applyMatrix4(lifted.matrixWorld.clone().invert()));
+    });
+    return unsub;
+  }, []);
+
+  useEffect(() => {
+    if (!truckScene) return;
+    truckScene.traverse((o) => {
+      if (o.isMesh) {
+        o.castShadow = true;
+        o.receiveShadow = true;
+      }
+    });
+  }, [truckScene]);
+
+  const placement = useMemo(
+    () => (truckScene && tentBox ? placeTruck(tentBox, truck, config.camper) : null),
+    [truckScene, tentBox, truck, config.camper]
+  );
+
+  useEffect(() => {
+    if (!truck) {
+      fitmentStore.set({ truck: truckId, report: null, framing: IDENTITY_FRAMING });
+      return;
+    }
+    if (status === "error") {
+      console.error(`Truck model ${truck.url} failed to load:`, loaded.error);
+      fitmentStore.set({
+        truck: truckId,
+        report: { truck: truck.id, status: "error", clearance: null, notes: ["The truck model could not be loaded."] },
+        framing: IDENTITY_FRAMING,
+      });
+      return;
+    }
+    if (!placement) {
+      fitmentStore.set({ truck: truckId, report: { truck: truck.id, status: "loading", clearance: null, notes: [] }, framing: IDENTITY_FRAMING });
+      return;
+    }
+    // world bounds once the new transforms are in
+    liftedRef.current.updateWorldMatrix(true, true);
+    truckRef.current.updateWorldMatrix(true, true);
+    const lifted = tentBox.clone().translate(new THREE.Vector3(0, placement.lift, 0));
+    const combined = new THREE.Box3().setFromObject(truckRef.current).union(lifted);
+    fitmentStore.set({
+      truck: truckId,
+      report: fitmentReport(tentBox, truck, config),
+      framing: computeFraming(lifted, combined, placement.lift),
+    });
+  }, [config, truck, truckId, loaded, status, placement, tentBox]);
+
+  return (
+    <>
+      <group ref={liftedRef} position={[0, placement?.lift ?? 0, 0]}>
+        {children}
+      </group>
+      {placement && (
+        <group ref={truckRef} position={placement.position} rotation={[0, placement.rotationY, 0]} scale={truck.scale ?? 1}>
+          <primitive object={truckScene} />
+        </group>
+      )}
+    </>
+  );
+}
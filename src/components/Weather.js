@@ -0,0 +1,81 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { useFrame, useThree } from "@react-three/fiber";
+import * as THREE from "three";
+import { animationsBridge } from "../utils/animationsBridge";
+import { activeWeather, createParticleEffect, createSnowLayer, prefersLightWeather } from "../utils/weather";
+import weatherConfig from "../data/weather.json";
+
+const WEATHER_DAMPING = 1.5; // higher = faster fade between presets
+const MIN_BRIGHTNESS = 0.3; // particles dim with the lighting preset, down to this
+
+/**
+ * Weather: rain / snow / debris particles and the roof's snow layer for the active preset
+ * (utils/weather.js). Everything eases toward the preset in useFrame; nothing re-renders.
+ */
+export function Weather({ config = weatherConfig }) {
+  const { scene } = useThree();
+  const snowRef = useRef(null);
+  const [effects, setEffects] = useState([]);
+  const live = useRef(null);
+  if (!live.current) live.current = { time: 0, amounts: {}, accumulation: 0, wind: new THREE.Vector3(), drift: new THREE.Vector3() };
+  const wind = useMemo(() => new THREE.Vector3(), []);
+
+  // built and freed by the same effect, so a StrictMode remount gets live particles
+  useEffect(() => {
+    const scale = prefersLightWeather() ? config.mobileScale ?? 1 : 1;
+    const next = Object.entries(config.effects).map(([id, effect]) => ({ id, ...createParticleEffect(effect, config.area, scale) }));
+    setEffects(next);
+    return () => next.forEach((effect) => effect.dispose());
+  }, [config]);
+
+  useEffect(() => {
+    const unsub = animationsBridge.subscribe(({ group }) => {
+      snowRef.current?.dispose();
+      snowRef.current = group?.current ? createSnowLayer(group.current, config.accumulation) : null;
+      snowRef.current?.set(live.current.accumulation);
+    });
+    return () => {
+      unsub();
+      snowRef.current?.dispose();
+      snowRef.current = null;
+    };
+  }, [config]);
+
+  useFrame((state, dt) => {
+    const preset = config.presets[activeWeather(config)];
+    const cur = live.current;
+    const step = Math.min(dt, 0.1);
+    const k = 1 - Math.exp(-WEATHER_DAMPING * step);
+
+    cur.time += step;
+    cur.wind.lerp(wind.fromArray(preset.wind || [0, 0, 0]), k);
+    // the shader wraps particles every 2 * radius, so the drift can wrap too (keeps float precision)
+    const span = 2 * config.area.radius;
+    cur.drift.addScaledVector(cur.wind, step);
+    cur.drift.set(cur.drift.x % span, 0, cur.drift.z % span);
+
+    // snow settles and melts at its own pace
+    const { rate = 0.1, melt = 0.3 } = config.accumulation || {};
+    const settle = preset.accumulation ?? 0;
+    cur.accumulation = cur.accumulation < settle
+      ? Math.min(settle, cur.accumulation + rate * step)
+      : Math.max(settle, cur.accumulation - melt * step);
+    snowRef.current?.set(cur.accumulation);
+
+    const viewport = state.size.height * state.viewport.dpr;
+    const brightness = THREE.MathUtils.clamp(scene.environmentIntensity ?? 1, MIN_BRIGHTNESS, 1);
+    effects.forEach((effect) => {
+      const amount = (cur.amounts[effect.id] ?? 0) + ((preset[effect.id] ?? 0) - (cur.amounts[effect.id] ?? 0)) * k;
+      cur.amounts[effect.id] = amount < 0.001 ? 0 : amount;
+      effect.update({ amount: cur.amounts[effect.id], time: cur.time, drift: cur.drift, wind: cur.wind, viewport, brightness });
+    });
+  });
+
+  return (
+    <group position={config.area.center}>
+      {effects.map((effect) => (
+        <primitive key={effect.id} object={effect.object} />
+      ))}
+    </group>
+  );
+}
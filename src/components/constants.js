@@ -8,13 +8,36 @@ export const CAMERAS = {
   s4: { position: new THREE.Vector3(0, 1.5, -5), target: new THREE.Vector3(0, 0, 0), duration: 3.5 }, // Moved from s3 - "Side" animation scene from back
   s6: { position: new THREE.Vector3(-1.7, 1.15, -1.05), target: new THREE.Vector3(0.7, 0.9, 0), duration: 3.0 }, // Same as s2 for consistent viewing
   idle: { position: new THREE.Vector3(3, 1.6, 3.4), target: new THREE.Vector3(0, 0.5, 0), duration: 4.0 },
-  fly: [
-    // Start from far back and high
-    { position: new THREE.Vector3(0, 0.8, -7), target: new THREE.Vector3(0, 0.5, 0), duration: 2.0 },
-    // Move to the left side
-    { position: new THREE.Vector3(0, 0.8, -1), target: new THREE.Vector3(0, 0.8, 0), duration: 2.5 },
-  ],
+};
+
+/** ===== useFrame Order ===== (lower runs first; negative, so R3F still renders on its own) */
+export const FRAME_PRIORITY = {
+  explodeRestore: -3, // ExplodedView takes last frame's offsets off the parts...
+  mixer: -2, // ...SceneContent evaluates the clips...
+  explodeApply: -1, // ...and the offsets go back on, before annotations, dimensions and render (0)
+};
+
+/** ===== Free Orbit Config ===== (limits keep the camera around the tent and above ground) */
+export const ORBIT = {
+  target: new THREE.Vector3(0, 0.8, 0),
+  minDistance: 2.5,
+  maxDistance: 9,
+  minPolarAngle: 0.2,
+  maxPolarAngle: 1.45,
+  enterDuration: 0.8, // seconds to ease the camera inside the limits
+};
+
+/** ===== Truck Fitment Framing ===== (see utils/fitment.js; distances in camper radii) */
+export const FITMENT = {
+  fitNear: 1.5, // closer poses keep their framing (close-ups)
+  fitFar: 3, // farther poses are fully fitted to camper + truck
+  maxScale: 2, // most a wide shot is pulled back
 };
 
 // Default smoothing time constant (seconds). Larger = smoother transitions, smaller = snappier.
 export const CAMERA_SMOOTH_DEFAULT = 1.2;
+
+// Tent model base URL; the loader negotiates .br / .gz / plain variants of it
+export const TENT_MODEL_URL = "/Tent3.glb";
+// Low-detail stand-in shown while TENT_MODEL_URL streams in (scripts/make-proxy.js)
+export const TENT_PROXY_URL = "/Tent3-proxy.glb";
@@ -0,0 +1,44 @@
+import { useEffect, useLayoutEffect, useMemo, useState } from "react";
+import * as THREE from "three";
+
+/**
+ * Clip actions for `rootRef`'s model, like drei's useAnimations, but without its own
+ * useFrame: the caller updates the mixer, so clips are evaluated at a known point in the
+ * frame (FRAME_PRIORITY.mixer, before the exploded view offsets the parts).
+ * @returns {{ actions: Object<string, THREE.AnimationAction>, mixer: THREE.AnimationMixer }}
+ */
+export function useAnimationMixer(clips, rootRef) {
+  const [mixer] = useState(() => new THREE.AnimationMixer(undefined));
+  const [cache] = useState(() => new Map()); // clip name -> action, created on first use
+
+  useLayoutEffect(() => {
+    mixer._root = rootRef.current;
+  });
+
+  const actions = useMemo(() => {
+    const out = {};
+    clips.forEach((clip) => Object.defineProperty(out, clip.name, {
+      enumerable: true,
+      configurable: true,
+      get() {
+        const root = rootRef.current;
+        if (!root) return undefined;
+        if (!cache.has(clip.name)) cache.set(clip.name, mixer.clipAction(clip, root));
+        return cache.get(clip.name);
+      },
+    }));
+    return out;
+  }, [clips, cache, mixer, rootRef]);
+
+  // new clips (e.g. the proxy → full swap): drop the old actions
+  useEffect(() => {
+    const root = rootRef.current;
+    return () => {
+      cache.clear();
+      mixer.stopAllAction();
+      if (root) clips.forEach((clip) => mixer.uncacheAction(clip, root));
+    };
+  }, [clips, cache, mixer, rootRef]);
+
+  return { actions, mixer };
+}
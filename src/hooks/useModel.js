@@ -0,0 +1,27 @@
+import { useSyncExternalStore } from 'react';
+import { getModelEntry } from '../utils/modelLoader';
+
+/**
+ * Load a GLB/GLTF through the shared model loader.
+ * - Default: returns { scene, animations, loading, error, progress, url } and re-renders as it loads.
+ * - `{ suspense: true }`: suspends until loaded and throws load errors to the nearest boundary.
+ * - `{ variants: ['gz', ''] }`: override the format negotiation order.
+ */
+export function useModel(url, { suspense = false, variants } = {}) {
+  const entry = getModelEntry(url, variants ? { variants } : {});
+  const state = useSyncExternalStore(entry.subscribe, entry.get);
+
+  if (suspense) {
+    if (state.status === 'pending') throw entry.promise;
+    if (state.status === 'error') throw state.error;
+  }
+
+  return {
+    scene: state.gltf?.scene,
+    animations: state.gltf?.animations || [],
+    loading: state.status === 'pending',
+    error: state.error,
+    progress: state.progress,
+    url: state.url,
+  };
+}
@@ -0,0 +1,6 @@
+import { useSyncExternalStore } from "react";
+
+/** Current state of a createStore() store, re-rendering on change */
+export function useStore(store) {
+  return useSyncExternalStore(store.subscribe, store.get);
+}
@@ -0,0 +1,150 @@
+import * as THREE from "three";
+import { clone as cloneSkinned } from "three/examples/jsm/utils/SkeletonUtils.js";
+import { localAnchor } from "./anchors";
+import { getModelEntry } from "./modelLoader";
+
+/**
+ * Accessory add-ons
+ * - src/data/accessories.json lists separate GLBs (MOLLE panels, awning, ...), each attached
+ *   to a named empty node in the tent (`anchor`, else `fallbackAnchor`, else the model root)
+ *   with an optional local `position` / `rotation` / `scale`.
+ * - Loaded on demand through the shared model loader (same .br/.gz negotiation and cache).
+ * - Attached as children of the anchor, so they move with the tent's clips (e.g. the Side clip).
+ * - An entry without a `url` is drawn as a stand-in: `standIn.parts` boxes (metres) placed
+ *   at `standIn.mount` on the anchor's bounds (see utils/anchors.js), until a GLB exists.
+ * - Attachments are keyed on the published model scene, so the proxy → full swap moves them
+ *   onto the full model. Attached objects are tagged `userData.accessory`.
+ * - Enabled ids live in the query string (?accessories=molle,ladder) next to the build options.
+ */
+
+const PARAM = "accessories";
+
+/** Enabled accessory ids from the URL (or the config's `default: true` ones) */
+export function readAccessories(config, search = window.location.search) {
+  const raw = new URLSearchParams(search).get(PARAM);
+  const known = new Set(config.accessories.map((a) => a.id));
+  if (raw == null) return new Set(config.accessories.filter((a) => a.default).map((a) => a.id));
+  return new Set(raw.split(",").filter((id) => known.has(id)));
+}
+
+export function writeAccessories(config, ids) {
+  const { pathname, search, hash } = window.location;
+  const params = new URLSearchParams(search);
+  const defaults = readAccessories(config, "");
+  const same = ids.size === defaults.size && [...ids].every((id) => defaults.has(id));
+  if (same) params.delete(PARAM);
+  else params.set(PARAM, config.accessories.filter((a) => ids.has(a.id)).map((a) => a.id).join(","));
+  const qs = params.toString();
+  window.history.replaceState(window.history.state, "", `${pathname}${qs ? `?${qs}` : ""}${hash}`);
+}
+
+/**
+ * Stand-in body for an accessory without a model
+ * @param {{ color?, parts: Array<{ size: number[], offset?: number[] }> }} standIn
+ * @returns {{ object: THREE.Group, dispose() }}
+ */
+export function createStandInAccessory({ color = "#3c4045", parts = [] }) {
+  const material = new THREE.MeshStandardMaterial({ color, roughness: 0.7, metalness: 0.2 });
+  const group = new THREE.Group();
+  const geometries = parts.map(({ size, offset = [0, 0, 0] }) => {
+    const geometry = new THREE.BoxGeometry(...size);
+    const mesh = new THREE.Mesh(geometry, material);
+    mesh.position.fromArray(offset);
+    group.add(mesh);
+    return geometry;
+  });
+  return {
+    object: group,
+    dispose() {
+      geometries.forEach((geometry) => geometry.dispose());
+      material.dispose();
+    },
+  };
+}
+
+const _scale = new THREE.Vector3();
+const _rootScale = new THREE.Vector3();
+
+/**
+ * Keeps the attached accessories in sync with the enabled set and the current model scene.
+ * @returns {{ sync(root, ids), status(id), subscribe(fn) }}
+ */
+export function createAccessoryManager(config) {
+  const attached = new Map(); // id -> { object, root, dispose? }
+  const statuses = new Map(); // id -> "loading" | "ready" | "error"
+  const listeners = new Set();
+  let current = { root: null, ids: new Set() };
+
+  const setStatus = (id, status) => {
+    statuses.set(id, status);
+    listeners.forEach((fn) => fn());
+  };
+
+  const detach = (id) => {
+    const entry = attached.get(id);
+    entry?.object.removeFromParent();
+    entry?.dispose?.();
+    attached.delete(id);
+  };
+
+  const attach = (item, root, gltf) => {
+    const anchor = root.getObjectByName(item.anchor) || root.getObjectByName(item.fallbackAnchor) || root;
+    if (anchor === root) console.warn(`Accessory "${item.id}": no node "${item.anchor}" in the tent, attaching to the model root`);
+    const standIn = gltf ? null : createStandInAccessory(item.standIn || {});
+    const object = standIn ? standIn.object : cloneSkinned(gltf.scene);
+    object.name = `accessory:${item.id}`;
+    object.userData.accessory = item.id;
+    if (standIn) {
+      // parts are in metres: undo the anchor's own scale relative to the model
+      localAnchor(anchor, { anchor: item.standIn?.mount ?? "center" }, object.position);
+      anchor.getWorldScale(_scale).divide(root.getWorldScale(_rootScale));
+      object.scale.set(1 / _scale.x, 1 / _scale.y, 1 / _scale.z);
+    }
+    if (item.position) object.position.fromArray(item.position);
+    if (item.rotation) object.rotation.fromArray(item.rotation);
+    if (item.scale != null) Array.isArray(item.scale) ? object.scale.fromArray(item.scale) : object.scale.setScalar(item.scale);
+    object.traverse((o) => {
+      if (o.isMesh) {
+        o.castShadow = true;
+        o.receiveShadow = true;
+      }
+    });
+    anchor.add(object);
+    attached.set(item.id, { object, root, dispose: standIn?.dispose });
+  };
+
+  return {
+    sync(root, ids) {
+      current = { root, ids };
+      config.accessories.forEach((item) => {
+        const entry = attached.get(item.id);
+        const wanted = !!root && ids.has(item.id);
+        if (entry && (!wanted || entry.root !== root)) detach(item.id);
+        if (!wanted || attached.has(item.id)) return;
+        if (!item.url) {
+          attach(item, root, null);
+          return setStatus(item.id, "ready");
+        }
+
+        const model = getModelEntry(item.url);
+        if (model.status === "error") return setStatus(item.id, "error");
+        if (model.status !== "done") setStatus(item.id, "loading");
+        model.promise.then(() => {
+          if (model.status === "error") {
+            console.error(`Accessory "${item.id}" failed to load:`, model.error);
+            return setStatus(item.id, "error");
+          }
+          // still wanted on the same tent once the download finished?
+          if (current.root !== root || !current.ids.has(item.id) || attached.has(item.id)) return;
+          attach(item, root, model.gltf);
+          setStatus(item.id, "ready");
+        });
+      });
+    },
+    status(id) { return statuses.get(id) || null; },
+    subscribe(fn) {
+      listeners.add(fn);
+      return () => listeners.delete(fn);
+    },
+  };
+}
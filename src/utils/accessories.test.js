@@ -0,0 +1,62 @@
+import * as THREE from 'three';
+import { createAccessoryManager } from './accessories';
+
+// three's example modules are ESM, which jest doesn't transform; stand-ins need neither
+jest.mock('./modelLoader', () => ({ getModelEntry: jest.fn() }));
+jest.mock('three/examples/jsm/utils/SkeletonUtils.js', () => ({ clone: jest.fn() }));
+
+const CONFIG = {
+  accessories: [
+    {
+      id: 'molle',
+      label: 'MOLLE Panel System',
+      anchor: 'Anchor_MOLLE',
+      fallbackAnchor: 'Side',
+      standIn: { mount: 'right', parts: [{ size: [0.02, 0.4, 0.8], offset: [0.01, 0, 0] }] },
+    },
+  ],
+};
+
+function tentScene() {
+  const scene = new THREE.Group();
+  const side = new THREE.Mesh(new THREE.BoxGeometry(0.1, 1, 2));
+  side.name = 'Side';
+  side.position.x = 0.6;
+  scene.add(side);
+  return scene;
+}
+
+const accessoryOn = (scene) => scene.getObjectByName('accessory:molle');
+
+test('stand-ins attach to the fallback anchor at their mount', () => {
+  const manager = createAccessoryManager(CONFIG);
+  const scene = tentScene();
+  manager.sync(scene, new Set(['molle']));
+
+  const object = accessoryOn(scene);
+  expect(object.parent.name).toBe('Side');
+  expect(object.position.x).toBeCloseTo(0.05);
+  expect(object.position.y).toBeCloseTo(0);
+  expect(object.userData.accessory).toBe('molle');
+  expect(manager.status('molle')).toBe('ready');
+});
+
+test('a newly published scene takes the accessories over', () => {
+  const manager = createAccessoryManager(CONFIG);
+  const proxy = tentScene();
+  const full = tentScene();
+  const ids = new Set(['molle']);
+  manager.sync(proxy, ids);
+  manager.sync(full, ids);
+
+  expect(accessoryOn(proxy)).toBeUndefined();
+  expect(accessoryOn(full).parent).toBe(full.getObjectByName('Side'));
+});
+
+test('switching an accessory off detaches it', () => {
+  const manager = createAccessoryManager(CONFIG);
+  const scene = tentScene();
+  manager.sync(scene, new Set(['molle']));
+  manager.sync(scene, new Set());
+  expect(accessoryOn(scene)).toBeUndefined();
+});
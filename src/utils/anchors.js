@@ -0,0 +1,80 @@
+import * as THREE from "three";
+
+/**
+ * Object anchors
+ * - A point attached to a live Object3D, re-evaluated every frame, so it follows the part
+ *   while clips move it.
+ * - `anchor` picks a point on the object's bounding box in its own local space:
+ *   "origin" (default, the node's pivot), "center", "top", "bottom", "left", "right",
+ *   "front", "back", "hinge" (the box point nearest the pivot, i.e. the hinge edge of a
+ *   panel rotating about its origin) or [u, v, w] fractions of the box (0..1 per axis).
+ * - `offset` ([x, y, z], local units) is added after the anchor.
+ */
+
+const NAMED_ANCHORS = {
+  center: [0.5, 0.5, 0.5],
+  top: [0.5, 1, 0.5],
+  bottom: [0.5, 0, 0.5],
+  left: [0, 0.5, 0.5],
+  right: [1, 0.5, 0.5],
+  front: [0.5, 0.5, 1],
+  back: [0.5, 0.5, 0],
+};
+
+// Local-space bounds per object; node-level animation doesn't change them, a new model under
+// the same group does (clearBounds)
+const boundsCache = new WeakMap();
+const _inverse = new THREE.Matrix4();
+const _relative = new THREE.Matrix4();
+const _box = new THREE.Box3();
+const _offset = new THREE.Vector3();
+
+/** Bounding box of `object` and its descendants, in `object`'s local space (null if it has no geometry) */
+export function localBounds(object) {
+  if (boundsCache.has(object)) return boundsCache.get(object);
+  const box = new THREE.Box3();
+  object.updateWorldMatrix(true, true);
+  _inverse.copy(object.matrixWorld).invert();
+  object.traverse((child) => {
+    const geometry = child.geometry;
+    if (!geometry) return;
+    if (!geometry.boundingBox) geometry.computeBoundingBox();
+    _relative.multiplyMatrices(_inverse, child.matrixWorld);
+    box.union(_box.copy(geometry.boundingBox).applyMatrix4(_relative));
+  });
+  const result = box.isEmpty() ? null : box;
+  boundsCache.set(object, result);
+  return result;
+}
+
+/** Forget the cached bounds of `object`, e.g. the model group once it holds a new scene */
+export function clearBounds(object) {
+  boundsCache.delete(object);
+}
+
+/** Anchor point in `object`'s local space */
+export function localAnchor(object, { anchor = "origin", offset } = {}, out = new THREE.Vector3()) {
+  out.set(0, 0, 0);
+  const box = anchor === "origin" ? null : localBounds(object);
+  if (box) {
+    if (anchor === "hinge") {
+      box.clampPoint(out, out);
+    } else {
+      const uvw = Array.isArray(anchor) ? anchor : NAMED_ANCHORS[anchor] || NAMED_ANCHORS.center;
+      out.set(
+        THREE.MathUtils.lerp(box.min.x, box.max.x, uvw[0]),
+        THREE.MathUtils.lerp(box.min.y, box.max.y, uvw[1]),
+        THREE.MathUtils.lerp(box.min.z, box.max.z, uvw[2])
+      );
+    }
+  }
+  if (offset) out.add(_offset.set(offset[0] || 0, offset[1] || 0, offset[2] || 0));
+  return out;
+}
+
+/** Live world position of the anchor (call per frame; the object's current pose is used) */
+export function anchorWorldPosition(object, spec, out = new THREE.Vector3()) {
+  localAnchor(object, spec, out);
+  object.updateWorldMatrix(true, false);
+  return out.applyMatrix4(object.matrixWorld);
+}
@@ -0,0 +1,28 @@
+import * as THREE from 'three';
+import { clearBounds, localAnchor, localBounds } from './anchors';
+
+function box(size, name) {
+  const mesh = new THREE.Mesh(new THREE.BoxGeometry(...size));
+  mesh.name = name;
+  return mesh;
+}
+
+test('named and [u, v, w] anchors sit on the local bounds', () => {
+  const part = box([2, 1, 4], 'part');
+  expect(localAnchor(part, { anchor: 'top' }).toArray()).toEqual([0, 0.5, 0]);
+  expect(localAnchor(part, { anchor: [1, 0, 0.25], offset: [0, 0.1, 0] }).toArray()).toEqual([1, -0.4, -1]);
+  expect(localAnchor(part).toArray()).toEqual([0, 0, 0]);
+});
+
+test('bounds are cached until cleared, e.g. when the group gets a new model', () => {
+  const group = new THREE.Group();
+  const proxy = box([1, 1, 1], 'proxy');
+  group.add(proxy);
+  expect(localBounds(group).max.x).toBeCloseTo(0.5);
+
+  group.remove(proxy);
+  group.add(box([3, 1, 1], 'full'));
+  expect(localBounds(group).max.x).toBeCloseTo(0.5);
+  clearBounds(group);
+  expect(localBounds(group).max.x).toBeCloseTo(1.5);
+});
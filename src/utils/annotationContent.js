@@ -0,0 +1,97 @@
+/**
+ * Annotation content registry
+ * - One Markdown file per annotation in src/data/annotations/, bundled as text
+ *   (see the `.md` rule in config-overrides.js), so copy edits need no code changes.
+ * - Frontmatter (`key: value` lines between `---` fences) places the annotation:
+ *   section (manifest id), object (node name), title, and optional anchor / offset /
+ *   occlusion / position (see anchors.js, occlusion.js, annotationLayout.js), order,
+ *   learnMore (URL) and learnMoreLabel, and closeUp ({ "position": [...], "target": [...] }),
+ *   which makes the part a hotspot in explore mode. Values that parse as JSON ([0.5, 1, 0.5], 2, false) are.
+ *   Quoted values ("..." or '...') are kept exactly; unquoted ones may end in a "# comment".
+ * - The body is Markdown (GFM): headings, lists, tables, images; images pointing at
+ *   .mp4/.webm are rendered as muted video loops.
+ */
+
+const FRONTMATTER = /^---\r?\n([\s\S]*?)\r?\n---\r?\n?/;
+
+const DOUBLE_QUOTED = /^"(?:[^"\\]|\\.)*"/;
+const SINGLE_QUOTED = /^'((?:[^']|'')*)'/;
+const COMMENT = /\s+#(?:\s.*)?$/; // " # note" or a bare trailing " #", but not "Model #3"
+
+function parseValue(raw) {
+  const value = raw.trim();
+  // quoted: taken as written ("..." with JSON escapes, '...' with '' for a quote)
+  const double = value.match(DOUBLE_QUOTED);
+  if (double) return JSON.parse(double[0]);
+  const single = value.match(SINGLE_QUOTED);
+  if (single) return single[1].replace(/''/g, "'");
+
+  const unquoted = value.replace(COMMENT, "");
+  try {
+    return JSON.parse(unquoted);
+  } catch (err) {
+    return unquoted;
+  }
+}
+
+/** Split a Markdown document into { data, body } */
+export function parseFrontmatter(source) {
+  const match = source.match(FRONTMATTER);
+  if (!match) return { data: {}, body: source.trim() };
+  const data = {};
+  match[1].split(/\r?\n/).forEach((line) => {
+    const sep = line.indexOf(":");
+    if (sep <= 0 || line.trim().startsWith("#")) return;
+    data[line.slice(0, sep).trim()] = parseValue(line.slice(sep + 1));
+  });
+  return { data, body: source.slice(match[0].length).trim() };
+}
+
+/** Annotation target from one content file */
+export function toAnnotationTarget(source, file = "") {
+  const { data, body } = parseFrontmatter(source);
+  if (!data.section || !data.object) {
+    console.warn(`Annotation content ${file} needs "section" and "object" in its frontmatter`);
+    return null;
+  }
+  return {
+    id: data.id || file.replace(/^.*\//, "").replace(/\.md$/, ""),
+    section: data.section,
+    objectName: data.object,
+    anchor: data.anchor,
+    offset: data.offset,
+    occlusion: data.occlusion,
+    position: data.position,
+    order: data.order ?? 0,
+    text: data.title || "",
+    body,
+    learnMore: data.learnMore ? { href: data.learnMore, label: data.learnMoreLabel || "Learn more" } : null,
+    closeUp: data.closeUp || null,
+  };
+}
+
+/** Group targets by section id, in `order` then file name order */
+export function buildAnnotationRegistry(files) {
+  const registry = {};
+  Object.keys(files).sort().forEach((file) => {
+    const target = toAnnotationTarget(files[file], file);
+    if (!target) return;
+    (registry[target.section] = registry[target.section] || []).push(target);
+  });
+  Object.values(registry).forEach((targets) => targets.sort((a, b) => a.order - b.order));
+  return registry;
+}
+
+function bundledFiles() {
+  const context = require.context("../data/annotations", false, /\.md$/);
+  return Object.fromEntries(context.keys().map((key) => {
+    const mod = context(key);
+    return [key, typeof mod === "string" ? mod : mod.default];
+  }));
+}
+
+/** Section id -> annotation targets, from the bundled content files */
+export const annotationRegistry = buildAnnotationRegistry(bundledFiles());
+
+/** Explore-mode hotspots: every annotation with a close-up pose */
+export const hotspots = Object.values(annotationRegistry).flat().filter((target) => target.closeUp);
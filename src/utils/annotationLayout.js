@@ -0,0 +1,166 @@
+/**
+ * Annotation card layout
+ * - Desktop: cards stack in left/right columns along the viewport edges. Anchors are split by
+ *   screen x (left anchors → left column) and each column is ordered by anchor y, so leader
+ *   lines don't cross. A side sticks until its anchor moves well past the middle (no flicker).
+ * - Compact (narrow viewports): full-width cards stack from the top and bottom edges, each
+ *   on the edge nearest its anchor (or its `prefer` of "top"/"bottom").
+ * - Cards try to keep out of `avoid` (the projected model bounds); when there isn't room
+ *   around it they fall back to the whole edge.
+ * - Heights are the measured card heights, so longer descriptions push their neighbours.
+ */
+
+const SIDE_HYSTERESIS = 0.1; // fraction of the viewport width an anchor must cross to switch sides
+
+/* =========================
+ * 1D packing along one edge
+ * ========================= */
+// Free spans of [start, end] once `blocked` ([from, to]) is removed
+function freeSpans(start, end, blocked) {
+  if (!blocked || blocked[1] <= start || blocked[0] >= end) return [[start, end]];
+  return [[start, blocked[0]], [blocked[1], end]].filter(([a, b]) => b > a);
+}
+
+/**
+ * Place cards (sorted, each { want, size }) along spans without overlaps, in order.
+ * Each card sits as close to `want` as it can; returns offsets, or null when they don't fit.
+ */
+function packSpans(cards, spans, gap) {
+  const out = [];
+  let span = 0;
+  let cursor = spans[0]?.[0] ?? 0;
+  for (const card of cards) {
+    for (;;) {
+      if (span >= spans.length) return null;
+      const [start, end] = spans[span];
+      const pos = Math.min(Math.max(card.want, cursor, start), end - card.size);
+      if (pos >= Math.max(cursor, start)) {
+        out.push(pos);
+        cursor = pos + card.size + gap;
+        break;
+      }
+      span++;
+      cursor = spans[span]?.[0] ?? cursor;
+    }
+  }
+  return out;
+}
+
+// Single span that always succeeds: push down past neighbours, then back up from the end
+function packLine(cards, start, end, gap) {
+  const out = [];
+  let cursor = start;
+  cards.forEach((card) => {
+    const pos = Math.max(card.want, cursor);
+    out.push(pos);
+    cursor = pos + card.size + gap;
+  });
+  let limit = end;
+  for (let i = out.length - 1; i >= 0; i--) {
+    out[i] = Math.max(start, Math.min(out[i], limit - cards[i].size));
+    limit = out[i] - gap;
+  }
+  return out;
+}
+
+function packEdge(cards, start, end, blocked, gap) {
+  return packSpans(cards, freeSpans(start, end, blocked), gap) || packLine(cards, start, end, gap);
+}
+
+/* =========================
+ * Layouts
+ * ========================= */
+function columnLayout(items, { width, height, avoid, previous, margin, gap, cardWidth }) {
+  const columns = { left: [], right: [] };
+  const capacity = height - 2 * margin;
+
+  [...items].sort((a, b) => a.x - b.x).forEach((item) => {
+    const mid = width / 2;
+    const prev = previous[item.id];
+    let side = item.x < mid ? "left" : "right";
+    if (prev && Math.abs(item.x - mid) < width * SIDE_HYSTERESIS) side = prev;
+    columns[side].push(item);
+  });
+
+  // balance overfull columns by moving the anchor nearest the middle across
+  const used = (col) => col.reduce((sum, it) => sum + it.height + gap, -gap);
+  for (const [from, to] of [["left", "right"], ["right", "left"]]) {
+    while (columns[from].length > 1 && used(columns[from]) > capacity && used(columns[to]) < capacity) {
+      const moved = from === "left" ? columns.left.pop() : columns.right.shift();
+      if (to === "left") columns.left.push(moved);
+      else columns.right.unshift(moved);
+    }
+  }
+
+  const result = {};
+  for (const side of ["left", "right"]) {
+    const col = [...columns[side]].sort((a, b) => a.y - b.y);
+    if (!col.length) continue;
+    const left = side === "left" ? margin : width - margin - cardWidth;
+    const overlapsAvoid = avoid && avoid.left < left + cardWidth && avoid.right > left;
+    const cards = col.map((it) => ({ want: it.y - it.height / 2, size: it.height }));
+    const tops = packEdge(cards, margin, height - margin, overlapsAvoid ? [avoid.top - gap, avoid.bottom + gap] : null, gap);
+    col.forEach((it, i) => {
+      result[it.id] = {
+        left,
+        top: tops[i],
+        width: cardWidth,
+        side,
+        line: { x: side === "left" ? left + cardWidth : left, y: tops[i] + it.height / 2 },
+      };
+    });
+  }
+  return result;
+}
+
+function rowLayout(items, { width, height, avoid, margin, gap }) {
+  const cardWidth = width - 2 * margin;
+  const edges = { top: [], bottom: [] };
+  [...items].sort((a, b) => a.y - b.y).forEach((item) => {
+    const preferred = item.prefer === "top" || item.prefer === "bottom" ? item.prefer : null;
+    edges[preferred || (item.y < height / 2 ? "top" : "bottom")].push(item);
+  });
+
+  // move cards to the other edge while their stack runs into the model and the other has room
+  const room = {
+    top: (avoid ? avoid.top : height / 2) - margin,
+    bottom: height - margin - (avoid ? avoid.bottom : height / 2),
+  };
+  const used = (stack) => stack.reduce((sum, it) => sum + it.height + gap, 0);
+  if (edges.top.length && used(edges.top) > room.top && used(edges.bottom) + edges.top[edges.top.length - 1].height <= room.bottom) {
+    edges.bottom.unshift(edges.top.pop());
+  } else if (edges.bottom.length && used(edges.bottom) > room.bottom && used(edges.top) + edges.bottom[0].height <= room.top) {
+    edges.top.push(edges.bottom.shift());
+  }
+
+  // stacks grow inwards from each edge; the card nearest the edge has the outermost anchor
+  const result = {};
+  for (const edge of ["top", "bottom"]) {
+    const stack = edge === "top" ? edges.top : [...edges.bottom].reverse();
+    let offset = margin;
+    stack.forEach((it) => {
+      const top = edge === "top" ? offset : height - offset - it.height;
+      result[it.id] = {
+        left: margin,
+        top,
+        width: cardWidth,
+        side: edge,
+        line: { x: Math.min(Math.max(it.x, margin + 20), margin + cardWidth - 20), y: edge === "top" ? top + it.height : top },
+      };
+      offset += it.height + gap;
+    });
+  }
+  return result;
+}
+
+/**
+ * @param {Array<{ id, x, y, height, prefer? }>} items anchor screen positions and card heights (px)
+ * @param {{ width, height, avoid?: { left, top, right, bottom }, compact?: boolean,
+ *           previous?: Object, margin?: number, gap?: number, cardWidth?: number }} viewport
+ * @returns {Object} id -> { left, top, width, side, line: { x, y } } (line = where the leader starts)
+ */
+export function layoutAnnotationCards(items, { width, height, avoid = null, compact = width <= 768, previous = {}, margin = 20, gap = 20, cardWidth = 320 }) {
+  if (!items.length) return {};
+  const opts = { width, height, avoid, previous, margin, gap, cardWidth };
+  return compact ? rowLayout(items, opts) : columnLayout(items, opts);
+}
@@ -0,0 +1,104 @@
+import { layoutAnnotationCards } from './annotationLayout';
+
+const DESKTOP = { width: 1200, height: 800 };
+const PHONE = { width: 400, height: 800 };
+
+const card = (id, x, y, height = 100, extra = {}) => ({ id, x, y, height, ...extra });
+
+function expectNoOverlap(layout, items, gap = 20) {
+  const placed = items.map((it) => ({ ...layout[it.id], height: it.height })).sort((a, b) => a.top - b.top);
+  placed.forEach((a) => {
+    placed.filter((b) => b !== a && b.side === a.side && b.top >= a.top).forEach((b) => {
+      expect(b.top).toBeGreaterThanOrEqual(a.top + a.height + gap);
+    });
+  });
+}
+
+test('no anchors, no cards', () => {
+  expect(layoutAnnotationCards([], DESKTOP)).toEqual({});
+});
+
+describe('columns (desktop)', () => {
+  test('anchors go to the column on their side, centred on the anchor', () => {
+    const layout = layoutAnnotationCards([card('a', 200, 300), card('b', 1000, 200)], DESKTOP);
+    expect(layout.a).toEqual({ left: 20, top: 250, width: 320, side: 'left', line: { x: 340, y: 300 } });
+    expect(layout.b).toEqual({ left: 860, top: 150, width: 320, side: 'right', line: { x: 860, y: 200 } });
+  });
+
+  test('a column is ordered by anchor y and pushes neighbours apart', () => {
+    const items = [card('low', 100, 310), card('high', 300, 300)];
+    const layout = layoutAnnotationCards(items, DESKTOP);
+    expect(layout.high.top).toBe(250);
+    expect(layout.low.top).toBe(370);
+  });
+
+  test('cards keep out of the model bounds when there is room', () => {
+    const avoid = { left: 100, right: 1100, top: 200, bottom: 600 };
+    const items = [card('a', 200, 400), card('b', 250, 450)];
+    const layout = layoutAnnotationCards(items, { ...DESKTOP, avoid });
+    items.forEach((it) => {
+      const { top } = layout[it.id];
+      expect(top + it.height <= avoid.top - 20 || top >= avoid.bottom + 20).toBe(true);
+    });
+    expectNoOverlap(layout, items);
+  });
+
+  test('cards fall back to the whole edge when the model leaves no room', () => {
+    const avoid = { left: 0, right: 1200, top: 40, bottom: 760 };
+    const items = [card('a', 200, 300), card('b', 250, 500)];
+    const layout = layoutAnnotationCards(items, { ...DESKTOP, avoid });
+    expect(layout.a.top).toBe(250);
+    expect(layout.b.top).toBe(450);
+  });
+
+  test('an anchor near the middle keeps its previous side', () => {
+    const items = [card('a', 560, 300)];
+    expect(layoutAnnotationCards(items, DESKTOP).a.side).toBe('left');
+    expect(layoutAnnotationCards(items, { ...DESKTOP, previous: { a: 'right' } }).a.side).toBe('right');
+    expect(layoutAnnotationCards([card('a', 300, 300)], { ...DESKTOP, previous: { a: 'right' } }).a.side).toBe('left');
+  });
+
+  test('an overfull column hands its innermost anchors to the other side', () => {
+    const items = [0, 1, 2, 3, 4].map((i) => card(`c${i}`, 100 + i * 50, 100 + i * 150, 200));
+    const layout = layoutAnnotationCards(items, DESKTOP);
+    expect(items.filter((it) => layout[it.id].side === 'right').map((it) => it.id)).toEqual(['c3', 'c4']);
+    expectNoOverlap(layout, items);
+    items.forEach((it) => {
+      expect(layout[it.id].top).toBeGreaterThanOrEqual(20);
+      expect(layout[it.id].top + it.height).toBeLessThanOrEqual(780);
+    });
+  });
+});
+
+describe('rows (compact)', () => {
+  test('narrow viewports stack full-width cards on the nearest edge', () => {
+    const layout = layoutAnnotationCards([card('a', 200, 100), card('b', 200, 700)], PHONE);
+    expect(layout.a).toEqual({ left: 20, top: 20, width: 360, side: 'top', line: { x: 200, y: 120 } });
+    expect(layout.b).toEqual({ left: 20, top: 680, width: 360, side: 'bottom', line: { x: 200, y: 680 } });
+  });
+
+  test('stacks grow inwards, outermost anchor nearest the edge', () => {
+    const layout = layoutAnnotationCards([card('b', 200, 150), card('a', 200, 50)], PHONE);
+    expect(layout.a.top).toBe(20);
+    expect(layout.b.top).toBe(140);
+  });
+
+  test('prefer picks the edge and leader lines stay on the card', () => {
+    const layout = layoutAnnotationCards([card('a', 5, 100, 100, { prefer: 'bottom' })], PHONE);
+    expect(layout.a.side).toBe('bottom');
+    expect(layout.a.line.x).toBe(40);
+  });
+
+  test('a stack that runs into the model moves a card to the other edge', () => {
+    const avoid = { left: 0, right: 400, top: 300, bottom: 500 };
+    const items = [card('a', 200, 50), card('b', 200, 100), card('c', 200, 150)];
+    const layout = layoutAnnotationCards(items, { ...PHONE, avoid });
+    expect(layout.c.side).toBe('bottom');
+    expect(layout.c.top).toBe(680);
+    expect([layout.a.side, layout.b.side]).toEqual(['top', 'top']);
+  });
+
+  test('compact can be forced on a wide viewport', () => {
+    expect(layoutAnnotationCards([card('a', 200, 100)], { ...DESKTOP, compact: true }).a.side).toBe('top');
+  });
+});
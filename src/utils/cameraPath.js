@@ -0,0 +1,104 @@
+import * as THREE from "three";
+import { EASINGS } from "./easing";
+
+/**
+ * Spline camera paths
+ * - Position and look-at target each follow their own spline through the same keyframes.
+ * - "catmullrom" (centripetal, no overshoot) or "bezier" (optional `positionIn`/`positionOut`
+ *   and `targetIn`/`targetOut` handle offsets per point, auto-derived from neighbours).
+ * - Arc-length parameterised: progress 0..1 moves at constant speed, unless a segment
+ *   sets `ease` (applied between that point and the next).
+ */
+
+const ARC_DIVISIONS = 400;
+
+/* =========================
+ * Pose helpers
+ * ========================= */
+export function toVec3(v) {
+  return v instanceof THREE.Vector3 ? v.clone() : new THREE.Vector3().fromArray(Array.isArray(v) ? v : [0, 0, 0]);
+}
+
+export function toPose(p) {
+  return { ...p, position: toVec3(p.position), target: toVec3(p.target) };
+}
+
+function buildBezier(points, key) {
+  const path = new THREE.CurvePath();
+  for (let i = 0; i < points.length - 1; i++) {
+    const p0 = toVec3(points[i][key]);
+    const p1 = toVec3(points[i + 1][key]);
+    const prev = toVec3(points[Math.max(0, i - 1)][key]);
+    const next = toVec3(points[Math.min(points.length - 1, i + 2)][key]);
+    // handles are offsets from their point; default to Catmull-Rom tangents / 3
+    const out = points[i][`${key}Out`]
+      ? p0.clone().add(toVec3(points[i][`${key}Out`]))
+      : p0.clone().add(p1.clone().sub(prev).multiplyScalar(1 / 6));
+    const inn = points[i + 1][`${key}In`]
+      ? p1.clone().add(toVec3(points[i + 1][`${key}In`]))
+      : p1.clone().sub(next.clone().sub(p0).multiplyScalar(1 / 6));
+    path.add(new THREE.CubicBezierCurve3(p0, out, inn, p1));
+  }
+  return path;
+}
+
+function buildCurve(points, key, type) {
+  if (type === "bezier") return buildBezier(points, key);
+  return new THREE.CatmullRomCurve3(points.map((p) => toVec3(p[key])), false, "centripetal");
+}
+
+/**
+ * Arc-length fraction (0..1) at each keyframe, so easing can be applied per segment.
+ * A CatmullRomCurve3 passes keyframe i at t = i / (count - 1); a bezier CurvePath is already
+ * arc-length parameterised, so its keyframes sit at the cumulative segment lengths.
+ */
+export function keyframeFractions(curve, count) {
+  if (curve.getCurveLengths) {
+    const cumulative = curve.getCurveLengths();
+    const total = cumulative[cumulative.length - 1] || 1;
+    return [0, ...cumulative.map((l) => l / total)];
+  }
+  const lengths = curve.getLengths(ARC_DIVISIONS);
+  const total = lengths[lengths.length - 1] || 1;
+  const out = [];
+  for (let i = 0; i < count; i++) {
+    const idx = Math.round((i / (count - 1)) * ARC_DIVISIONS);
+    out.push(lengths[idx] / total);
+  }
+  return out;
+}
+
+/**
+ * @param {{ points: Array<{ position, target, ease? }>, curve?: "catmullrom"|"bezier" }} spec
+ */
+export function createCameraPath({ points = [], curve = "catmullrom" } = {}) {
+  if (points.length < 2) {
+    const only = points[0] ? { position: toVec3(points[0].position), target: toVec3(points[0].target) } : null;
+    return { evaluate: () => only && { position: only.position.clone(), target: only.target.clone() }, length: 0 };
+  }
+
+  const posCurve = buildCurve(points, "position", curve);
+  const tarCurve = buildCurve(points, "target", curve);
+  const posU = keyframeFractions(posCurve, points.length);
+  const tarU = keyframeFractions(tarCurve, points.length);
+  const eases = points.map((p) => EASINGS[p.ease] || EASINGS.linear);
+
+  // Segments are split by position arc length; `s` is overall path progress
+  const locate = (s) => {
+    const clamped = THREE.MathUtils.clamp(s, 0, 1);
+    let k = 0;
+    while (k < points.length - 2 && clamped > posU[k + 1]) k++;
+    const span = posU[k + 1] - posU[k] || 1;
+    return { k, local: eases[k]((clamped - posU[k]) / span) };
+  };
+
+  return {
+    evaluate(s) {
+      const { k, local } = locate(s);
+      const up = posU[k] + (posU[k + 1] - posU[k]) * local;
+      const ut = tarU[k] + (tarU[k + 1] - tarU[k]) * local;
+      return { position: posCurve.getPointAt(up), target: tarCurve.getPointAt(ut) };
+    },
+    length: posCurve.getLength(),
+  };
+}
@@ -0,0 +1,61 @@
+import * as THREE from 'three';
+import { createCameraPath, keyframeFractions } from './cameraPath';
+
+// keyframes along x, 1 m then 3 m apart; targets along y, 3 m then 1 m apart
+const POINTS = [
+  { position: [0, 0, 0], target: [0, 0, 0] },
+  { position: [1, 0, 0], target: [0, 3, 0] },
+  { position: [4, 0, 0], target: [0, 4, 0] },
+];
+
+function expectPoint(vector, [x, y, z]) {
+  expect(vector.x).toBeCloseTo(x, 2);
+  expect(vector.y).toBeCloseTo(y, 2);
+  expect(vector.z).toBeCloseTo(z, 2);
+}
+
+test('curve path keyframes sit at the cumulative segment lengths', () => {
+  const curve = new THREE.CurvePath();
+  curve.add(new THREE.LineCurve3(new THREE.Vector3(0, 0, 0), new THREE.Vector3(1, 0, 0)));
+  curve.add(new THREE.LineCurve3(new THREE.Vector3(1, 0, 0), new THREE.Vector3(4, 0, 0)));
+  expect(keyframeFractions(curve, 3)).toEqual([0, 0.25, 1]);
+  expect(createCameraPath({ points: POINTS, curve: 'bezier' }).length).toBeCloseTo(4, 2);
+});
+
+test('bezier paths pass through every keyframe at its fraction', () => {
+  const path = createCameraPath({ points: POINTS, curve: 'bezier' });
+  expectPoint(path.evaluate(0).position, [0, 0, 0]);
+  expectPoint(path.evaluate(0.25).position, [1, 0, 0]);
+  expectPoint(path.evaluate(1).position, [4, 0, 0]);
+  // the target reaches its keyframe together with the position
+  expectPoint(path.evaluate(0.25).target, [0, 3, 0]);
+  expectPoint(path.evaluate(1).target, [0, 4, 0]);
+});
+
+test('progress moves at constant speed along the position path', () => {
+  const path = createCameraPath({ points: POINTS, curve: 'bezier' });
+  expectPoint(path.evaluate(0.5).position, [2, 0, 0]);
+  expectPoint(path.evaluate(0.75).position, [3, 0, 0]);
+});
+
+test('catmull-rom keyframes sit at their arc-length fractions', () => {
+  const even = [0, 2, 4].map((x) => ({ position: [x, 0, 0], target: [0, 0, 0] }));
+  const path = createCameraPath({ points: even });
+  expectPoint(path.evaluate(0.5).position, [2, 0, 0]);
+  expectPoint(path.evaluate(1).position, [4, 0, 0]);
+});
+
+test('a segment ease applies between its point and the next', () => {
+  const eased = POINTS.map((p, i) => (i === 1 ? { ...p, ease: 'easeIn' } : p));
+  const path = createCameraPath({ points: eased, curve: 'bezier' });
+  // first segment is linear, the second starts slow
+  expectPoint(path.evaluate(0.125).position, [0.5, 0, 0]);
+  expectPoint(path.evaluate(0.625).position, [1.75, 0, 0]);
+  expectPoint(path.evaluate(1).position, [4, 0, 0]);
+});
+
+test('fewer than two points hold the only pose', () => {
+  const path = createCameraPath({ points: [POINTS[1]] });
+  expectPoint(path.evaluate(0.7).position, [1, 0, 0]);
+  expect(createCameraPath().evaluate(0.5)).toBeNull();
+});
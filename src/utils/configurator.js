@@ -0,0 +1,141 @@
+import * as THREE from "three";
+
+/**
+ * Build configurator
+ * - src/data/configurator.json lists option groups (shell finish, fabric, ...). Each group
+ *   targets every material under named nodes (`Plane009` is the shell, `geo1` the fabric)
+ *   and/or GLB materials by exact name (case-insensitive).
+ * - An option sets any of: color, roughness, metalness, map (texture URL), repeat ([u, v]).
+ *   Unset properties keep the GLB's values, so switching options never compounds. An option
+ *   that sets none of them ("As Modelled", the default) shows the GLB's own materials:
+ *   nothing is touched until the user picks something else.
+ * - The selection lives in the query string (?shell=black&fabric=sand), next to the
+ *   #section hash, so a shared link reopens the same build.
+ */
+
+/* =========================
+ * Selection <-> URL
+ * ========================= */
+/** Group id -> option id, from `search` with defaults for anything missing or unknown */
+export function readSelection(config, search = window.location.search) {
+  const params = new URLSearchParams(search);
+  return Object.fromEntries(config.groups.map((group) => {
+    const requested = params.get(group.id);
+    const valid = group.options.some((o) => o.id === requested);
+    return [group.id, valid ? requested : group.default ?? group.options[0]?.id];
+  }));
+}
+
+/** Replace the selection params in the address bar (defaults are left out) */
+export function writeSelection(config, selection) {
+  const { pathname, search, hash } = window.location;
+  const params = new URLSearchParams(search);
+  config.groups.forEach((group) => {
+    const value = selection[group.id];
+    if (!value || value === group.default) params.delete(group.id);
+    else params.set(group.id, value);
+  });
+  const qs = params.toString();
+  window.history.replaceState(window.history.state, "", `${pathname}${qs ? `?${qs}` : ""}${hash}`);
+}
+
+/** [{ group, option }] for the current selection, in config order */
+export function summarize(config, selection) {
+  return config.groups.map((group) => ({
+    group,
+    option: group.options.find((o) => o.id === selection[group.id]) || null,
+  }));
+}
+
+/* =========================
+ * Applying to the scene
+ * ========================= */
+const originals = new WeakMap(); // material -> GLB values before any option
+const textures = new Map(); // url -> THREE.Texture
+
+function loadTexture(url) {
+  if (!textures.has(url)) {
+    const texture = new THREE.TextureLoader().load(url);
+    texture.colorSpace = THREE.SRGBColorSpace;
+    texture.flipY = false; // glTF UV convention
+    texture.wrapS = texture.wrapT = THREE.RepeatWrapping;
+    textures.set(url, texture);
+  }
+  return textures.get(url);
+}
+
+function materialsOf(mesh) {
+  return (Array.isArray(mesh.material) ? mesh.material : [mesh.material]).filter(Boolean);
+}
+
+// Overlay meshes riding on a part (`userData.overlay`, e.g. the weather's snow layer) and
+// attached accessories (`userData.accessory`, utils/accessories.js) keep their own materials.
+function isAddOn(mesh) {
+  if (mesh.userData.overlay) return true;
+  for (let o = mesh; o; o = o.parent) if (o.userData.accessory) return true;
+  return false;
+}
+
+// Materials each group targets; node targets win when a material matches both
+function collectTargets(root, config) {
+  const byGroup = new Map(config.groups.map((g) => [g.id, new Set()]));
+  const nodeNames = new Map();
+  config.groups.forEach((g) => (g.targets?.nodes || []).forEach((n) => nodeNames.set(n, g.id)));
+  const claimed = new Set();
+
+  root.traverse((node) => {
+    const groupId = nodeNames.get(node.name);
+    if (!groupId) return;
+    node.traverse((child) => {
+      if (!child.isMesh || isAddOn(child)) return;
+      materialsOf(child).forEach((m) => { byGroup.get(groupId).add(m); claimed.add(m); });
+    });
+  });
+  root.traverse((child) => {
+    if (!child.isMesh || isAddOn(child)) return;
+    materialsOf(child).forEach((m) => {
+      if (claimed.has(m)) return;
+      const name = (m.name || "").toLowerCase();
+      const group = config.groups.find((g) => (g.targets?.materials || []).some((t) => name === t.toLowerCase()));
+      if (group) byGroup.get(group.id).add(m);
+    });
+  });
+  return byGroup;
+}
+
+const OPTION_PROPS = ["color", "roughness", "metalness", "map"];
+
+function applyOption(material, option) {
+  // as modelled: only undo what an earlier option changed
+  if (!originals.has(material) && !OPTION_PROPS.some((key) => option[key] != null)) return;
+  // the tour's fabric highlight (ScrollSections) keeps the colour it will restore in userData
+  const color = material.userData.preHighlightColor ?? material.color;
+  if (!originals.has(material)) {
+    originals.set(material, {
+      color: color?.clone(),
+      roughness: material.roughness,
+      metalness: material.metalness,
+      map: material.map,
+    });
+  }
+  const base = originals.get(material);
+  if (color) color.copy(option.color ? new THREE.Color(option.color) : base.color);
+  if ("roughness" in material) material.roughness = option.roughness ?? base.roughness;
+  if ("metalness" in material) material.metalness = option.metalness ?? base.metalness;
+  const map = option.map ? loadTexture(option.map) : base.map;
+  if (option.map && option.repeat) map.repeat.fromArray(option.repeat);
+  if (material.map !== map) {
+    material.map = map;
+    material.needsUpdate = true;
+  }
+}
+
+/** Apply `selection` to every targeted material under `root` */
+export function applySelection(root, config, selection) {
+  if (!root) return;
+  const targets = collectTargets(root, config);
+  config.groups.forEach((group) => {
+    const option = group.options.find((o) => o.id === selection[group.id]);
+    if (option) targets.get(group.id).forEach((m) => applyOption(m, option));
+  });
+}
@@ -0,0 +1,66 @@
+import fs from 'fs';
+import path from 'path';
+import * as THREE from 'three';
+import { applySelection } from './configurator';
+import config from '../data/configurator.json';
+
+const MODEL = path.join(__dirname, '..', '..', 'public', 'Tent3.glb');
+
+// node and material names from a .glb's JSON chunk (header: magic, version, length; then chunks)
+function glbNames(file) {
+  const data = fs.readFileSync(file);
+  const jsonLength = data.readUInt32LE(12);
+  const gltf = JSON.parse(data.toString('utf8', 20, 20 + jsonLength));
+  return {
+    nodes: new Set((gltf.nodes || []).map((n) => n.name)),
+    materials: new Set((gltf.materials || []).map((m) => m.name?.toLowerCase())),
+  };
+}
+
+// the model is deployed alongside the app rather than committed; check it wherever it is there
+(fs.existsSync(MODEL) ? describe : describe.skip)('targets exist in Tent3.glb', () => {
+  const names = fs.existsSync(MODEL) ? glbNames(MODEL) : null;
+  test.each(config.groups.map((g) => [g.id, g.targets]))('%s', (id, targets) => {
+    (targets.nodes || []).forEach((node) => expect(names.nodes).toContain(node));
+    (targets.materials || []).forEach((name) => expect(names.materials).toContain(name.toLowerCase()));
+  });
+});
+
+function tentScene() {
+  const scene = new THREE.Group();
+  ['Plane009', 'geo1', 'Plane005'].forEach((name) => {
+    const mesh = new THREE.Mesh(new THREE.BoxGeometry(), new THREE.MeshStandardMaterial({ color: 0x808080 }));
+    mesh.name = name;
+    scene.add(mesh);
+  });
+  const colorOf = (name) => scene.getObjectByName(name).material.color.getHex();
+  return { scene, colorOf };
+}
+
+const fabric = config.groups.find((g) => g.id === 'fabric');
+const shell = config.groups.find((g) => g.id === 'shell');
+const coloured = (group) => group.options.find((o) => o.color);
+
+test('each group recolours only its own node and "As Modelled" restores it', () => {
+  const { scene, colorOf } = tentScene();
+  applySelection(scene, config, { fabric: coloured(fabric).id, shell: shell.default });
+  expect(colorOf('geo1')).toBe(new THREE.Color(coloured(fabric).color).getHex());
+  expect(colorOf('Plane009')).toBe(0x808080);
+  expect(colorOf('Plane005')).toBe(0x808080);
+
+  applySelection(scene, config, { fabric: fabric.default, shell: coloured(shell).id });
+  expect(colorOf('geo1')).toBe(0x808080);
+  expect(colorOf('Plane009')).toBe(new THREE.Color(coloured(shell).color).getHex());
+});
+
+test('a fabric picked during the tour highlight shows once the highlight ends', () => {
+  const { scene, colorOf } = tentScene();
+  const material = scene.getObjectByName('geo1').material;
+  material.userData.preHighlightColor = material.color.clone();
+  material.color.set(0xc39718);
+
+  applySelection(scene, config, { fabric: coloured(fabric).id, shell: shell.default });
+  expect(colorOf('geo1')).toBe(0xc39718);
+  material.color.copy(material.userData.preHighlightColor);
+  expect(colorOf('geo1')).toBe(new THREE.Color(coloured(fabric).color).getHex());
+});
@@ -0,0 +1,28 @@
+/**
+ * Small pub/sub store shared by the UI state modules (explore mode, fitment, lighting, …)
+ * - `get()` returns the current state object; it is replaced, never mutated, on change.
+ * - `set(patch)` merges the patch and notifies subscribers only when some key changed.
+ * - `normalize(next, patch)` (optional) adjusts the merged state before that check, for
+ *   stores whose keys depend on each other.
+ * - Read it in components with hooks/useStore.js.
+ */
+export function createStore(initial, { normalize } = {}) {
+  let state = initial;
+  const listeners = new Set();
+  return {
+    get() {
+      return state;
+    },
+    set(patch) {
+      const next = { ...state, ...patch };
+      if (normalize) normalize(next, patch);
+      if (Object.keys(next).every((key) => next[key] === state[key])) return;
+      state = next;
+      for (const fn of listeners) fn(state);
+    },
+    subscribe(fn) {
+      listeners.add(fn);
+      return () => listeners.delete(fn);
+    },
+  };
+}
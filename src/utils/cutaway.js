@@ -0,0 +1,159 @@
+import * as THREE from "three";
+import { createStore } from "./createStore";
+
+/**
+ * Cutaway view
+ * - One clipping plane, set on the model's materials only (renderer local clipping), so the
+ *   ground, truck and environment stay whole.
+ * - The plane is normal to `axis` ("x" | "y" | "z", model frame) at `offset` (0..1 across the
+ *   model's bounds); the side below it is cut away (`flip` cuts the other side).
+ * - Cut faces of the closed parts in src/data/cutaway.json (`capped` node names) are capped
+ *   with the stencil technique: back faces increment, front faces decrement, and a cap quad
+ *   on the plane fills wherever the count is not zero. Open sheets can't be capped this way,
+ *   so only solids should be listed. Overlay meshes on a part (`userData.overlay`, e.g. the
+ *   snow layer) are clipped with it but not capped.
+ */
+
+/** ===== Cutaway store =====
+ * { active, axis, offset, flip }: set by scroll (manifest camera mode "cutaway") or the toggle.
+ */
+export const cutawayStore = createStore({ active: false, axis: "x", offset: 0.5, flip: false });
+
+export const CUT_AXES = ["x", "y", "z"];
+const AXIS_INDEX = { x: 0, y: 1, z: 2 };
+// Cap quad (XY plane, facing +Z) turned to face each axis, and the box sizes it spans
+const CAP_ROTATIONS = {
+  x: { euler: new THREE.Euler(0, Math.PI / 2, 0), span: ["z", "y"] },
+  y: { euler: new THREE.Euler(-Math.PI / 2, 0, 0), span: ["x", "z"] },
+  z: { euler: new THREE.Euler(0, 0, 0), span: ["x", "y"] },
+};
+
+const noRaycast = () => {};
+
+function materialsOf(mesh) {
+  return Array.isArray(mesh.material) ? mesh.material : [mesh.material];
+}
+
+function stencilMaterial(side, op, planes) {
+  return new THREE.MeshBasicMaterial({
+    side,
+    clippingPlanes: planes,
+    colorWrite: false,
+    depthWrite: false,
+    depthTest: false,
+    stencilWrite: true,
+    stencilFunc: THREE.AlwaysStencilFunc,
+    stencilFail: op,
+    stencilZFail: op,
+    stencilZPass: op,
+  });
+}
+
+/**
+ * @param {THREE.Object3D} root the model group
+ * @param {{ capped?: string[], capColor?: string }} config
+ * @returns {{ update(state), dispose() }} call `update` every frame with cutawayStore's state
+ */
+export function createCutaway(root, { capped = [], capColor = "#d9d4c7" } = {}) {
+  const plane = new THREE.Plane();
+  const planes = [plane];
+  const localPlane = new THREE.Plane();
+  const point = new THREE.Vector3();
+  const normal = new THREE.Vector3();
+
+  // model bounds in its own frame, measured before any helper is added
+  root.updateWorldMatrix(true, true);
+  const box = new THREE.Box3().setFromObject(root).applyMatrix4(root.matrixWorld.clone().invert());
+  const size = box.getSize(new THREE.Vector3());
+
+  const stencilBack = stencilMaterial(THREE.BackSide, THREE.IncrementWrapStencilOp, planes);
+  const stencilFront = stencilMaterial(THREE.FrontSide, THREE.DecrementWrapStencilOp, planes);
+  const capMaterial = new THREE.MeshStandardMaterial({
+    color: capColor,
+    roughness: 0.9,
+    side: THREE.DoubleSide,
+    stencilWrite: true,
+    stencilRef: 0,
+    stencilFunc: THREE.NotEqualStencilFunc,
+    stencilFail: THREE.ReplaceStencilOp,
+    stencilZFail: THREE.ReplaceStencilOp,
+    stencilZPass: THREE.ReplaceStencilOp,
+  });
+  const capGeometry = new THREE.PlaneGeometry(1, 1);
+
+  const originals = new Map(); // material -> clippingPlanes before the cut
+  let helpers = [];
+  let cap = null;
+  let enabled = false;
+
+  function enable() {
+    root.traverse((o) => {
+      if (!o.isMesh || o.userData.cutawayHelper) return;
+      materialsOf(o).forEach((m) => {
+        if (!m) return;
+        if (!originals.has(m)) originals.set(m, m.clippingPlanes);
+        m.clippingPlanes = planes;
+      });
+    });
+
+    const meshes = [];
+    capped.forEach((name) => {
+      const node = root.getObjectByName(name);
+      if (!node) return console.warn(`Cutaway: no node "${name}" to cap`);
+      node.traverse((o) => { if (o.isMesh && !o.isSkinnedMesh && !o.userData.cutawayHelper && !o.userData.overlay) meshes.push(o); });
+    });
+    helpers = meshes.flatMap((mesh) => [stencilBack, stencilFront].map((material) => {
+      const helper = new THREE.Mesh(mesh.geometry, material);
+      helper.renderOrder = 1;
+      helper.raycast = noRaycast;
+      helper.userData.cutawayHelper = true;
+      mesh.add(helper);
+      return helper;
+    }));
+
+    if (helpers.length) {
+      cap = new THREE.Mesh(capGeometry, capMaterial);
+      cap.renderOrder = 2;
+      cap.raycast = noRaycast;
+      cap.userData.cutawayHelper = true;
+      cap.onAfterRender = (renderer) => renderer.clearStencil();
+      root.add(cap);
+    }
+    enabled = true;
+  }
+
+  function disable() {
+    originals.forEach((clippingPlanes, m) => { m.clippingPlanes = clippingPlanes; });
+    originals.clear();
+    helpers.forEach((helper) => helper.removeFromParent());
+    helpers = [];
+    cap?.removeFromParent();
+    cap = null;
+    enabled = false;
+  }
+
+  return {
+    update({ active, axis = "x", offset = 0.5, flip = false }) {
+      if (active !== enabled) (active ? enable : disable)();
+      if (!active) return;
+
+      const index = AXIS_INDEX[axis] ?? 0;
+      normal.set(0, 0, 0).setComponent(index, flip ? -1 : 1);
+      box.getCenter(point).setComponent(index, THREE.MathUtils.lerp(box.min.getComponent(index), box.max.getComponent(index), offset));
+      localPlane.setFromNormalAndCoplanarPoint(normal, point);
+      root.updateWorldMatrix(true, false);
+      plane.copy(localPlane).applyMatrix4(root.matrixWorld);
+
+      if (cap) {
+        const { euler, span } = CAP_ROTATIONS[axis] || CAP_ROTATIONS.x;
+        cap.position.copy(point);
+        cap.rotation.copy(euler);
+        cap.scale.set(size[span[0]] * 1.01 || 1, size[span[1]] * 1.01 || 1, 1);
+      }
+    },
+    dispose() {
+      disable();
+      [stencilBack, stencilFront, capMaterial, capGeometry].forEach((r) => r.dispose());
+    },
+  };
+}
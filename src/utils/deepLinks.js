@@ -0,0 +1,55 @@
+/**
+ * Deep links into the scroll tour
+ * - `#section=5` (1-based) or `#section=door-open` (manifest id) → start of that section.
+ * - `?view=rear-hatch` → a named view from the manifest `views` ({ section, progress }).
+ * - As the user scrolls, the hash is rewritten to `#section=<id>` (query string untouched)
+ *   so the address bar can be shared at any point.
+ */
+
+function sectionIndex(defs, key) {
+  if (key == null || key === "") return -1;
+  const n = Number(key);
+  if (Number.isInteger(n) && n >= 1 && n <= defs.length) return n - 1;
+  return defs.findIndex((d) => d.id === key);
+}
+
+/**
+ * Resolve the current URL against the compiled sections.
+ * @returns {{ index: number, progress: number } | null}
+ */
+export function parseDeepLink(defs, views = {}, location = window.location) {
+  const query = new URLSearchParams(location.search);
+  const hash = new URLSearchParams(location.hash.replace(/^#/, ""));
+
+  const viewName = query.get("view") || hash.get("view");
+  if (viewName) {
+    const view = views[viewName];
+    const index = view ? sectionIndex(defs, view.section) : -1;
+    if (index >= 0) return { index, progress: view.progress ?? 0 };
+    console.warn(`Unknown deep-link view "${viewName}"`);
+  }
+
+  const index = sectionIndex(defs, query.get("section") || hash.get("section"));
+  return index >= 0 ? { index, progress: 0 } : null;
+}
+
+/** Document scroll offset that puts `el` at `progress` (same maths as progressFor) */
+export function scrollTopFor(el, progress = 0) {
+  const rect = el.getBoundingClientRect();
+  const top = rect.top + window.scrollY;
+  // nudge into the section so progressFor() reports it as active
+  return Math.max(0, top + Math.max(1, progress * rect.height - 1));
+}
+
+/** Reflect the active section in the hash without adding history entries */
+export function writeSectionHash(def) {
+  const { pathname, search, hash: currentHash } = window.location;
+  // the hash now carries the position, so drop link params that would override it on reload
+  const query = new URLSearchParams(search);
+  query.delete("view");
+  query.delete("section");
+  const qs = query.toString();
+  const hash = def ? `#section=${encodeURIComponent(def.id)}` : "";
+  if (currentHash === hash && qs === search.replace(/^\?/, "")) return;
+  window.history.replaceState(window.history.state, "", `${pathname}${qs ? `?${qs}` : ""}${hash}`);
+}
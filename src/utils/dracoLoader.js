@@ -0,0 +1,30 @@
+import { DRACOLoader } from 'three/examples/jsm/loaders/DRACOLoader.js';
+
+/**
+ * Shared DRACOLoader
+ * - Decoder files are served from our own build output (`/draco/gltf/`, emitted by
+ *   config-overrides.js from three's bundled copy), so no CDN is needed.
+ * - WASM decoder when WebAssembly is available, JS decoder otherwise (DRACOLoader picks).
+ * - One instance for every GLTFLoader: its worker pool and compiled decoder are reused
+ *   across loads instead of being rebuilt and disposed each time.
+ */
+export const DRACO_DECODER_PATH = `${process.env.PUBLIC_URL || ''}/draco/gltf/`;
+
+// Leave a core for the main thread; DRACOLoader spreads decodes across this many workers
+const DRACO_WORKER_LIMIT = Math.max(1, Math.min(4, (typeof navigator !== 'undefined' && navigator.hardwareConcurrency ? navigator.hardwareConcurrency : 2) - 1));
+
+let sharedLoader = null;
+
+export function getDRACOLoader() {
+  if (!sharedLoader) {
+    sharedLoader = new DRACOLoader();
+    sharedLoader.setDecoderPath(DRACO_DECODER_PATH);
+    sharedLoader.setWorkerLimit(DRACO_WORKER_LIMIT);
+  }
+  return sharedLoader;
+}
+
+/** Fetch and compile the decoder ahead of the first DRACO-compressed mesh */
+export function preloadDRACO() {
+  getDRACOLoader().preload();
+}
@@ -0,0 +1,7 @@
+/** ===== Easing curves (x in 0..1) shared by map curves and camera paths ===== */
+export const EASINGS = {
+  linear: (x) => x,
+  easeIn: (x) => x * x,
+  easeOut: (x) => 1 - (1 - x) * (1 - x),
+  easeInOut: (x) => (x < 0.5 ? 2 * x * x : 1 - Math.pow(-2 * x + 2, 2) / 2),
+};
@@ -0,0 +1,73 @@
+import * as THREE from "three";
+import { RGBELoader } from "three/examples/jsm/loaders/RGBELoader.js";
+import { EXRLoader } from "three/examples/jsm/loaders/EXRLoader.js";
+import { createStore } from "./createStore";
+
+/**
+ * Environment maps
+ * - src/data/environments.json lists HDRIs served from public/hdri/ (`file`); nothing is
+ *   fetched from a CDN. The default is "city"; an environment whose file fails to load shows
+ *   the `fallback` environment instead.
+ * - Each map is prefiltered once with PMREMGenerator and cached per renderer, so switching
+ *   back to an environment is instant.
+ * - An environment can also be shown as the background (`background: true`), projected
+ *   onto the ground (`ground: { height, radius }`, see GroundedSkybox) or as a plain sky.
+ * - Sections pick one with `"environment": "studio"`; a user pick overrides sections until
+ *   they go back to "Auto".
+ */
+
+/** ===== Environment store =====
+ * { section, user }: environment ids from the current section and from the user (null = none).
+ */
+export const environmentStore = createStore({ section: null, user: null });
+
+/** Environment id in effect: the user's pick, else the section's, else the default */
+export function activeEnvironment(config, { section, user } = environmentStore.get()) {
+  return [user, section, config.default].find((id) => id && config.environments[id]);
+}
+
+const caches = new WeakMap(); // renderer -> { pmrem, entries: Map(file -> Promise) }
+
+function cacheFor(gl) {
+  let cache = caches.get(gl);
+  if (!cache) {
+    const pmrem = new THREE.PMREMGenerator(gl);
+    pmrem.compileEquirectangularShader();
+    cache = { pmrem, entries: new Map() };
+    caches.set(gl, cache);
+  }
+  return cache;
+}
+
+/**
+ * Load and prefilter `file` (.hdr or .exr under public/) once per renderer. A failed load is
+ * logged once and stays cached, so going back to its section doesn't fetch it again.
+ * @returns {Promise<{ envMap: THREE.Texture, texture: THREE.Texture }>} envMap for lighting,
+ *   texture (equirectangular) for backgrounds
+ */
+export function loadEnvironment(gl, file) {
+  const cache = cacheFor(gl);
+  if (!cache.entries.has(file)) {
+    const loader = /\.exr$/i.test(file) ? new EXRLoader() : new RGBELoader();
+    const promise = loader.loadAsync(`${process.env.PUBLIC_URL || ""}${file}`).then((texture) => {
+      texture.mapping = THREE.EquirectangularReflectionMapping;
+      const envMap = cache.pmrem.fromEquirectangular(texture).texture;
+      return { envMap, texture };
+    });
+    promise.catch((error) => console.error(`Environment map ${file} failed to load:`, error));
+    cache.entries.set(file, promise);
+  }
+  return cache.entries.get(file);
+}
+
+/** Free every prefiltered map for `gl` */
+export function clearEnvironmentCache(gl) {
+  const cache = caches.get(gl);
+  if (!cache) return;
+  cache.entries.forEach((promise) => promise.then(({ envMap, texture }) => {
+    envMap.dispose();
+    texture.dispose();
+  }, () => {}));
+  cache.pmrem.dispose();
+  caches.delete(gl);
+}
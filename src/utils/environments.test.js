@@ -0,0 +1,34 @@
+import fs from 'fs';
+import path from 'path';
+import { loadEnvironment } from './environments';
+import config from '../data/environments.json';
+
+// three's example modules are ESM, which jest doesn't transform; the loaders are stubbed
+const mockLoad = jest.fn();
+jest.mock('three/examples/jsm/loaders/RGBELoader.js', () => ({ RGBELoader: class { loadAsync(url) { return mockLoad(url); } } }));
+jest.mock('three/examples/jsm/loaders/EXRLoader.js', () => ({ EXRLoader: class { loadAsync(url) { return mockLoad(url); } } }));
+
+const stubGl = () => ({ compile: jest.fn() }); // all PMREMGenerator touches before a load
+
+const PUBLIC_DIR = path.join(__dirname, '..', '..', 'public');
+
+test('every environment is a file under public/, the fallback included', () => {
+  Object.values(config.environments).forEach((entry) => {
+    expect(entry.file).toMatch(/^\/hdri\/.+\.(hdr|exr)$/);
+    expect(fs.existsSync(path.join(PUBLIC_DIR, entry.file))).toBe(true);
+  });
+  expect(config.environments[config.fallback].file).toBeTruthy();
+  expect(config.environments[config.default].file).toBeTruthy();
+});
+
+test('a failed load stays cached and is logged once', async () => {
+  const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+  mockLoad.mockRejectedValue(new Error('404'));
+  const gl = stubGl();
+
+  await expect(loadEnvironment(gl, '/hdri/missing.exr')).rejects.toThrow('404');
+  await expect(loadEnvironment(gl, '/hdri/missing.exr')).rejects.toThrow('404');
+  expect(mockLoad).toHaveBeenCalledTimes(1);
+  expect(error).toHaveBeenCalledTimes(1);
+  error.mockRestore();
+});
@@ -0,0 +1,83 @@
+import * as THREE from "three";
+import { localBounds } from "./anchors";
+import { createStore } from "./createStore";
+
+/**
+ * Exploded view
+ * - src/data/exploded.json lists parts (node names) that move outward by `distance` (model
+ *   units) along `direction` ([x, y, z] in the model's frame), or, without a direction,
+ *   straight out from the model center through the part's center.
+ * - Offsets are added on top of whatever the mixer (or the GLB) left in the part's position
+ *   once the clips are evaluated, and taken off again before the next evaluation, so clips
+ *   keep full control of the transforms and a collapsed view is exactly the animated one.
+ *   In between, everything (annotations, dimensions, picking, the render) sees the parts
+ *   where they are drawn.
+ */
+
+/** ===== Exploded view store =====
+ * { amount }: 0 = assembled, 1 = fully exploded; set by scroll (manifest `explode`) or the slider.
+ */
+export const explodeStore = createStore({ amount: 0 });
+
+const _toParent = new THREE.Matrix4();
+const _a = new THREE.Vector3();
+const _b = new THREE.Vector3();
+
+/**
+ * @param {THREE.Object3D} root the model group
+ * @param {Array<{ object, direction?, distance }>} parts
+ * @returns {{ apply(amount), restore() }}
+ */
+export function createExploder(root, parts) {
+  root.updateWorldMatrix(true, true);
+  const toRoot = root.matrixWorld.clone().invert();
+  const modelBox = localBounds(root);
+  const modelCenter = modelBox ? modelBox.getCenter(new THREE.Vector3()) : new THREE.Vector3();
+
+  const entries = parts.map((spec) => {
+    const object = root.getObjectByName(spec.object);
+    if (!object || object === root) {
+      console.warn(`Exploded view: no node "${spec.object}" in the model`);
+      return null;
+    }
+    let direction;
+    if (spec.direction) {
+      direction = new THREE.Vector3().fromArray(spec.direction);
+    } else {
+      const box = localBounds(object);
+      const center = box ? box.getCenter(new THREE.Vector3()) : new THREE.Vector3();
+      direction = center.applyMatrix4(object.matrixWorld).applyMatrix4(toRoot).sub(modelCenter);
+    }
+    if (direction.lengthSq() < 1e-12) return null;
+    return { object, vector: direction.normalize().multiplyScalar(spec.distance ?? 0.5), base: new THREE.Vector3(), moved: false };
+  }).filter(Boolean);
+
+  return {
+    /** Offset every part by `amount` of its vector (call after the mixer update) */
+    apply(amount) {
+      if (amount <= 0) return;
+      root.updateWorldMatrix(true, false);
+      for (const entry of entries) {
+        const { object, vector } = entry;
+        // the root-space vector in the part's parent frame (translation cancels out)
+        object.parent.updateWorldMatrix(true, false);
+        _toParent.copy(object.parent.matrixWorld).invert().multiply(root.matrixWorld);
+        _a.set(0, 0, 0).applyMatrix4(_toParent);
+        _b.copy(vector).multiplyScalar(amount).applyMatrix4(_toParent).sub(_a);
+        entry.base.copy(object.position);
+        entry.moved = true;
+        object.position.add(_b);
+        object.updateMatrixWorld(true);
+      }
+    },
+    /** Put back the positions seen by `apply` (call before the next mixer update) */
+    restore() {
+      for (let i = entries.length - 1; i >= 0; i--) {
+        const entry = entries[i];
+        if (!entry.moved) continue;
+        entry.object.position.copy(entry.base);
+        entry.moved = false;
+      }
+    },
+  };
+}
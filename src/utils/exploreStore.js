@@ -0,0 +1,19 @@
+import { createStore } from "./createStore";
+
+/** ===== Explore mode store =====
+ * { active, orbit, measuring, hovered, selected } — hovered/selected are hotspot ids (annotation
+ * content ids); `orbit` is free-orbit inspection (implies active, no hotspot picking);
+ * `measuring` is the point-to-point tool (clicks pick points instead of hotspots).
+ */
+export const exploreStore = createStore(
+  { active: false, orbit: false, measuring: false, hovered: null, selected: null },
+  {
+    normalize(next, patch) {
+      if (patch.orbit) next.active = true;
+      if (patch.measuring) next.active = true;
+      if (!next.active) Object.assign(next, { orbit: false, measuring: false, hovered: null, selected: null });
+      if (next.measuring) next.hovered = null;
+      if (next.orbit) Object.assign(next, { hovered: null, selected: null });
+    },
+  }
+);
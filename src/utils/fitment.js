@@ -0,0 +1,193 @@
+import * as THREE from "three";
+import { FITMENT } from "../components/constants";
+import { createStore } from "./createStore";
+
+/**
+ * Truck fitment
+ * - src/data/trucks.json lists truck models (bed floor height, front wall, inner length and
+ *   width, in metres) plus a fitment table of per-truck status and notes.
+ * - The camper keeps its size: it is lifted onto the bed floor and the truck is placed so the
+ *   bed's front wall meets the camper's cab-side end (`camper.cabSide`).
+ * - Clearances come from the measured camper bounds; notes from the table are appended.
+ * - A truck without a `url` is drawn as a plain stand-in built from its `bed` (cab, bed
+ *   walls, wheels), so fitment works before real truck models are added.
+ * - Camera poses are framed around camper + truck: every pose is lifted with the camper, and
+ *   wide shots are pulled back (and re-centred) to fit the combined bounds. Close-ups, within
+ *   FITMENT.fitNear camper radii of their target, keep their framing.
+ */
+
+const PARAM = "truck";
+const SEVERITY = { ok: 0, warning: 1, error: 2 };
+
+/** Framing that leaves poses untouched (no truck) */
+export const IDENTITY_FRAMING = { lift: [0, 0, 0], shift: [0, 0, 0], scale: 1, near: Infinity, far: Infinity };
+
+/** ===== Fitment store =====
+ * { truck, report, framing }: `truck` is the selected id, `report` and `framing` are what
+ * TruckFitment measured for it (report null without a truck).
+ */
+export const fitmentStore = createStore({ truck: null, report: null, framing: IDENTITY_FRAMING });
+
+/* =========================
+ * Selection <-> URL
+ * ========================= */
+export function readTruck(config, search = window.location.search) {
+  const requested = new URLSearchParams(search).get(PARAM);
+  return config.trucks.some((t) => t.id === requested) ? requested : config.default;
+}
+
+export function writeTruck(config, id) {
+  const { pathname, search, hash } = window.location;
+  const params = new URLSearchParams(search);
+  if (id === config.default) params.delete(PARAM);
+  else params.set(PARAM, id);
+  const qs = params.toString();
+  window.history.replaceState(window.history.state, "", `${pathname}${qs ? `?${qs}` : ""}${hash}`);
+}
+
+/* =========================
+ * Placement and fitment
+ * ========================= */
+/**
+ * Where the camper and truck go, from the camper bounds before lifting (`tentBox`)
+ * @returns {{ lift: number, position: number[], rotationY: number }} lift for the camper, pose for the truck
+ */
+export function placeTruck(tentBox, truck, camper = {}) {
+  const dir = camper.cabSide === "+z" ? -1 : 1; // truck models face their cab towards -z
+  const front = dir === 1 ? tentBox.min.z : tentBox.max.z;
+  const centerX = (tentBox.min.x + tentBox.max.x) / 2;
+  return {
+    lift: truck.bed.floor,
+    position: [centerX, 0, front - dir * truck.bed.front],
+    rotationY: dir === 1 ? 0 : Math.PI,
+  };
+}
+
+function cm(metres) {
+  return `${Math.round(metres * 100)} cm`;
+}
+
+/** { truck, status: "ok"|"warning"|"error", clearance: { length, width }, notes } */
+export function fitmentReport(tentBox, truck, config) {
+  const size = tentBox.getSize(new THREE.Vector3());
+  const clearance = { length: truck.bed.length - size.z, width: truck.bed.width - size.x };
+  const entry = config.fitment?.[truck.id] || {};
+  const minClearance = config.minClearance ?? 0;
+  const notes = [];
+  let status = entry.status || "ok";
+  const raise = (level) => { if (SEVERITY[level] > SEVERITY[status]) status = level; };
+
+  if (clearance.width < 0) {
+    raise("error");
+    notes.push(`The camper is ${cm(-clearance.width)} wider than the bed.`);
+  }
+  if (clearance.length < 0) {
+    raise("warning");
+    notes.push(`The camper overhangs the tailgate by ${cm(-clearance.length)}.`);
+  }
+  if (clearance.width >= 0 && clearance.length >= 0 && Math.min(clearance.width, clearance.length) < minClearance) {
+    raise("warning");
+    notes.push(`Tight fit: less than ${cm(minClearance)} of clearance.`);
+  }
+  return { truck: truck.id, status, clearance, notes: [...notes, ...(entry.notes || [])] };
+}
+
+/* =========================
+ * Stand-in truck
+ * ========================= */
+const STAND_IN = { wall: 0.08, wallHeight: 0.5, cab: 1.6, hood: 1.1, wheel: 0.4 };
+
+/**
+ * A simple truck body around `bed`, in the same frame as a truck model (centreline on
+ * x = 0, cab towards -z, wheels on y = 0)
+ * @returns {{ object: THREE.Group, dispose() }}
+ */
+export function createStandInTruck({ floor, front, length, width }) {
+  const { wall, wallHeight, cab, hood, wheel } = STAND_IN;
+  const body = new THREE.MeshStandardMaterial({ color: "#5b6168", roughness: 0.6, metalness: 0.3 });
+  const tyre = new THREE.MeshStandardMaterial({ color: "#1d1f21", roughness: 0.9 });
+  const group = new THREE.Group();
+  group.name = "StandInTruck";
+  const geometries = [];
+  const add = (geometry, material, x, y, z) => {
+    geometries.push(geometry);
+    const mesh = new THREE.Mesh(geometry, material);
+    mesh.position.set(x, y, z);
+    group.add(mesh);
+    return mesh;
+  };
+  const box = (w, h, d, x, y, z) => add(new THREE.BoxGeometry(w, h, d), body, x, y + h / 2, z);
+
+  const outer = width + 2 * wall;
+  const back = front + length;
+  const cabFront = front - wall - cab;
+  const chassis = floor - wall - wheel;
+  // bed floor and walls
+  box(outer, wall, length + 2 * wall, 0, floor - wall, front + length / 2);
+  box(wall, wallHeight, length, -(width + wall) / 2, floor, front + length / 2);
+  box(wall, wallHeight, length, (width + wall) / 2, floor, front + length / 2);
+  box(outer, wallHeight, wall, 0, floor, front - wall / 2);
+  box(outer, wallHeight, wall, 0, floor, back + wall / 2);
+  // chassis, cab and hood
+  box(outer, chassis, back - cabFront + hood, 0, wheel, (cabFront - hood + back) / 2);
+  box(outer, floor + 1 - wheel - chassis, cab, 0, wheel + chassis, cabFront + cab / 2);
+  box(outer, 0.35, hood, 0, wheel + chassis, cabFront - hood / 2);
+  // wheels under the hood and the bed
+  [cabFront - hood / 2, front + length * 0.6].forEach((z) => {
+    [-1, 1].forEach((side) => {
+      const mesh = add(new THREE.CylinderGeometry(wheel, wheel, 0.3, 24), tyre, side * (outer / 2 - 0.1), wheel, z);
+      mesh.rotation.z = Math.PI / 2;
+    });
+  });
+
+  return {
+    object: group,
+    dispose() {
+      group.removeFromParent();
+      geometries.forEach((geometry) => geometry.dispose());
+      body.dispose();
+      tyre.dispose();
+    },
+  };
+}
+
+/* =========================
+ * Camera framing
+ * ========================= */
+/** Framing from the lifted camper bounds and the camper + truck bounds (world space) */
+export function computeFraming(tentBox, combinedBox, lift) {
+  const tentRadius = tentBox.getSize(new THREE.Vector3()).length() / 2;
+  const combinedRadius = combinedBox.getSize(new THREE.Vector3()).length() / 2;
+  if (!(tentRadius > 0)) return IDENTITY_FRAMING;
+  const shift = combinedBox.getCenter(new THREE.Vector3()).sub(tentBox.getCenter(new THREE.Vector3()));
+  return {
+    lift: [0, lift, 0],
+    shift: shift.toArray(),
+    scale: THREE.MathUtils.clamp(combinedRadius / tentRadius, 1, FITMENT.maxScale),
+    near: tentRadius * FITMENT.fitNear,
+    far: tentRadius * FITMENT.fitFar,
+  };
+}
+
+/**
+ * A tour pose (authored around the camper on the ground) framed for the current fitment.
+ * `fit: false` only lifts it (close-ups on a part of the camper).
+ * @returns {{ position: THREE.Vector3, target: THREE.Vector3 }}
+ */
+export function framePose(position, target, framing, { fit = true } = {}) {
+  const tar = new THREE.Vector3().copy(target);
+  const offset = new THREE.Vector3().copy(position).sub(tar);
+  const weight = fit && Number.isFinite(framing.far)
+    ? THREE.MathUtils.smoothstep(offset.length(), framing.near, framing.far)
+    : 0;
+  tar.add(new THREE.Vector3().fromArray(framing.lift)).addScaledVector(new THREE.Vector3().fromArray(framing.shift), weight);
+  return { position: tar.clone().addScaledVector(offset, 1 + (framing.scale - 1) * weight), target: tar };
+}
+
+/** Free-orbit target and distance limits around camper + truck */
+export function frameOrbit(orbit, framing) {
+  const target = orbit.target.clone()
+    .add(new THREE.Vector3().fromArray(framing.lift))
+    .add(new THREE.Vector3().fromArray(framing.shift));
+  return { target, minDistance: orbit.minDistance, maxDistance: orbit.maxDistance * framing.scale };
+}
@@ -0,0 +1,110 @@
+import * as THREE from 'three';
+import {
+  computeFraming, createStandInTruck, fitmentReport, framePose, IDENTITY_FRAMING, placeTruck,
+} from './fitment';
+
+const v = (...xyz) => new THREE.Vector3(...xyz);
+
+// camper bounds on the ground: 1.2 m wide (x), 1.8 m long (z), 1.2 m tall
+const TENT = new THREE.Box3(v(-0.6, 0, -0.9), v(0.6, 1.2, 0.9));
+const truck = (id, bed) => ({ id, bed: { floor: 0.88, front: -0.2, length: 1.98, width: 1.27, ...bed } });
+const CONFIG = {
+  minClearance: 0.02,
+  fitment: {
+    'standard-bed': { status: 'ok', notes: ['Direct fit with the standard rail clamps.'] },
+    'short-bed': { status: 'warning', notes: ['Ride with the tailgate down.'] },
+  },
+};
+
+describe('placeTruck', () => {
+  test('lifts the camper onto the bed and meets its front wall', () => {
+    expect(placeTruck(TENT, truck('standard-bed'), { cabSide: '-z' })).toEqual({
+      lift: 0.88,
+      position: [0, 0, -0.7],
+      rotationY: 0,
+    });
+  });
+
+  test('turns the truck round when the cab side is +z', () => {
+    const placement = placeTruck(TENT, truck('standard-bed'), { cabSide: '+z' });
+    expect(placement.rotationY).toBe(Math.PI);
+    expect(placement.position[2]).toBeCloseTo(0.7);
+  });
+
+  test('centres the truck under an off-centre camper', () => {
+    const shifted = TENT.clone().translate(v(0.3, 0, 0));
+    expect(placeTruck(shifted, truck('standard-bed')).position[0]).toBeCloseTo(0.3);
+  });
+});
+
+describe('fitmentReport', () => {
+  test('reports clearances and appends the table notes', () => {
+    const report = fitmentReport(TENT, truck('standard-bed'), CONFIG);
+    expect(report.status).toBe('ok');
+    expect(report.clearance.length).toBeCloseTo(0.18);
+    expect(report.clearance.width).toBeCloseTo(0.07);
+    expect(report.notes).toEqual(['Direct fit with the standard rail clamps.']);
+  });
+
+  test('an overhang past the tailgate is a warning', () => {
+    const report = fitmentReport(TENT, truck('overhang', { length: 1.68 }), CONFIG);
+    expect(report.status).toBe('warning');
+    expect(report.clearance.length).toBeCloseTo(-0.12);
+    expect(report.notes).toEqual(['The camper overhangs the tailgate by 12 cm.']);
+  });
+
+  test('a camper wider than the bed is an error', () => {
+    const report = fitmentReport(TENT, truck('narrow', { width: 1.1 }), CONFIG);
+    expect(report.status).toBe('error');
+    expect(report.notes).toEqual(['The camper is 10 cm wider than the bed.']);
+  });
+
+  test('clearance under minClearance is a tight fit', () => {
+    const report = fitmentReport(TENT, truck('snug', { width: 1.21 }), CONFIG);
+    expect(report.status).toBe('warning');
+    expect(report.notes).toEqual(['Tight fit: less than 2 cm of clearance.']);
+  });
+
+  test('the worst of the table status and the measured status wins', () => {
+    expect(fitmentReport(TENT, truck('short-bed'), CONFIG).status).toBe('warning');
+    expect(fitmentReport(TENT, truck('short-bed', { width: 1.1 }), CONFIG).status).toBe('error');
+  });
+});
+
+describe('framing', () => {
+  const lifted = TENT.clone().translate(v(0, 0.88, 0));
+
+  test('pulls wide shots back to fit camper and truck, up to maxScale', () => {
+    const combined = lifted.clone().union(new THREE.Box3(v(-1, 0, -3), v(1, 1.9, 1)));
+    const framing = computeFraming(lifted, combined, 0.88);
+    expect(framing.lift).toEqual([0, 0.88, 0]);
+    expect(framing.scale).toBeGreaterThan(1);
+    expect(framing.scale).toBeLessThanOrEqual(2);
+
+    const wide = framePose(v(0, 2, 20), v(0, 0.5, 0), framing);
+    expect(wide.position.z).toBeGreaterThan(20);
+    const close = framePose(v(0, 1, 0.5), v(0, 0.5, 0), framing);
+    expect(close.position.toArray()).toEqual([0, 1.88, 0.5]);
+    expect(close.target.toArray()).toEqual([0, 1.38, 0]);
+  });
+
+  test('leaves poses alone without a truck', () => {
+    expect(computeFraming(new THREE.Box3(), new THREE.Box3(), 0)).toBe(IDENTITY_FRAMING);
+    const pose = framePose(v(0, 2, 20), v(0, 0.5, 0), IDENTITY_FRAMING);
+    expect(pose.position.toArray()).toEqual([0, 2, 20]);
+    expect(pose.target.toArray()).toEqual([0, 0.5, 0]);
+  });
+});
+
+test('the stand-in truck stands on the ground with its bed where the bed values say', () => {
+  const bed = { floor: 0.88, front: -0.2, length: 1.98, width: 1.27 };
+  const standIn = createStandInTruck(bed);
+  const box = new THREE.Box3().setFromObject(standIn.object);
+  expect(box.min.y).toBeCloseTo(0);
+  expect(box.max.z).toBeCloseTo(bed.front + bed.length + 0.08);
+  // straight down through the middle of the bed lands on the floor
+  const hit = new THREE.Raycaster(v(0, 3, bed.front + bed.length / 2), v(0, -1, 0))
+    .intersectObject(standIn.object, true)[0];
+  expect(hit.point.y).toBeCloseTo(bed.floor);
+  standIn.dispose();
+});
@@ -0,0 +1,135 @@
+import * as THREE from "three";
+import { RectAreaLightUniformsLib } from "three/examples/jsm/lights/RectAreaLightUniformsLib.js";
+import { localAnchor } from "./anchors";
+import { createStore } from "./createStore";
+
+/**
+ * Lighting presets
+ * - src/data/lighting.json defines day / dusk / night: environment intensity, ambient, sun
+ *   (directional) and hemisphere lights, and how bright the interior LEDs are (0..1).
+ * - A section picks one with `"lighting": "night"` in the manifest; a preset picked by the
+ *   user overrides sections until they go back to "Auto".
+ * - LEDs: a light ("point", or "rect" with width/height) is added under each fixture node
+ *   (`leds.nodes`) and the fixture's materials glow (emissive). Models without those nodes
+ *   get lights at the `leds.fallback` anchors instead, each with a small strip (`leds.lens`,
+ *   sized in model units) that glows the same way. Lights are children of their node, so
+ *   they move with the clips (e.g. the canopy).
+ */
+
+/** ===== Lighting store =====
+ * { section, user }: preset ids from the current section and from the user (null = none).
+ */
+export const lightingStore = createStore({ section: null, user: null });
+
+/** Preset id in effect: the user's pick, else the section's, else the default */
+export function activePreset(config, { section, user } = lightingStore.get()) {
+  return [user, section, config.default].find((id) => id && config.presets[id]);
+}
+
+let rectLightsReady = false;
+
+function createLight({ type = "point", color, intensity = 1, distance = 0, decay = 2, width = 0.6, height = 0.05 }) {
+  if (type === "rect") {
+    if (!rectLightsReady) {
+      RectAreaLightUniformsLib.init();
+      rectLightsReady = true;
+    }
+    const light = new THREE.RectAreaLight(color, intensity, width, height);
+    light.rotation.x = -Math.PI / 2; // face down from the ceiling
+    return light;
+  }
+  return new THREE.PointLight(color, intensity, distance, decay);
+}
+
+const _scale = new THREE.Vector3();
+const _rootScale = new THREE.Vector3();
+
+// stand-in fixture for the fallback lights; an overlay, so the configurator leaves it alone
+function createLens(root, node, { size = [0.4, 0.012, 0.03], color = "#fff6e8" } = {}) {
+  const lens = new THREE.Mesh(
+    new THREE.BoxGeometry(...size),
+    new THREE.MeshStandardMaterial({ color, roughness: 0.4, emissive: "#000000" })
+  );
+  lens.name = "led-lens";
+  lens.userData.overlay = true;
+  node.getWorldScale(_scale).divide(root.getWorldScale(_rootScale));
+  lens.scale.set(1 / _scale.x, 1 / _scale.y, 1 / _scale.z);
+  return lens;
+}
+
+/**
+ * @param {THREE.Object3D} root the model group
+ * @param {object} leds `leds` from lighting.json
+ * @returns {{ set(level), dispose() }} `set(0..1)` dims lights and glow together
+ */
+export function createLedFixtures(root, leds = {}) {
+  const fixtures = (leds.nodes || []).map((name) => root.getObjectByName(name)).filter(Boolean);
+  const lights = [];
+  const lenses = [];
+
+  if (fixtures.length) {
+    fixtures.forEach((node) => {
+      const light = createLight(leds.light || {});
+      node.add(light);
+      lights.push(light);
+    });
+  } else {
+    (leds.fallback || []).forEach((spec) => {
+      const node = root.getObjectByName(spec.object);
+      if (!node) return;
+      const light = createLight(leds.light || {});
+      localAnchor(node, spec, light.position);
+      const lens = createLens(root, node, leds.lens);
+      lens.position.copy(light.position);
+      node.add(light, lens);
+      lights.push(light);
+      lenses.push(lens);
+    });
+  }
+
+  // fixture materials: cloned so the glow doesn't leak to parts sharing them
+  const glowing = [];
+  const emissive = new THREE.Color(leds.emissive?.color || "#ffffff");
+  fixtures.forEach((node) => node.traverse((o) => {
+    if (!o.isMesh) return;
+    const original = o.material;
+    o.material = Array.isArray(original) ? original.map((m) => m.clone()) : original.clone();
+    glowing.push({ mesh: o, original });
+  }));
+  lenses.forEach((mesh) => glowing.push({ mesh, original: null }));
+
+  // lights stay in the scene at zero intensity; adding/removing them would recompile shaders
+  lights.forEach((light) => {
+    light.userData.baseIntensity = light.intensity;
+    light.intensity = 0;
+  });
+
+  return {
+    set(level) {
+      lights.forEach((light) => {
+        light.intensity = light.userData.baseIntensity * level;
+      });
+      glowing.forEach(({ mesh }) => {
+        (Array.isArray(mesh.material) ? mesh.material : [mesh.material]).forEach((m) => {
+          if (!m.emissive) return;
+          m.emissive.copy(emissive);
+          m.emissiveIntensity = (leds.emissive?.intensity ?? 1) * level;
+        });
+      });
+    },
+    dispose() {
+      lights.forEach((light) => {
+        light.removeFromParent();
+        light.dispose();
+      });
+      glowing.forEach(({ mesh, original }) => {
+        (Array.isArray(mesh.material) ? mesh.material : [mesh.material]).forEach((m) => m.dispose());
+        mesh.material = original;
+      });
+      lenses.forEach((lens) => {
+        lens.removeFromParent();
+        lens.geometry.dispose();
+      });
+    },
+  };
+}
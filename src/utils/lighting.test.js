@@ -0,0 +1,51 @@
+import * as THREE from 'three';
+import { createLedFixtures } from './lighting';
+import config from '../data/lighting.json';
+
+// three's example modules are ESM, which jest doesn't transform; point lights don't need it
+jest.mock('three/examples/jsm/lights/RectAreaLightUniformsLib.js', () => ({ RectAreaLightUniformsLib: { init: jest.fn() } }));
+
+function tentScene() {
+  const root = new THREE.Group();
+  const roof = new THREE.Mesh(new THREE.BoxGeometry(1.4, 0.2, 2), new THREE.MeshStandardMaterial());
+  roof.name = 'Plane009';
+  root.add(roof);
+  return { root, roof };
+}
+
+const lensesOf = (node) => node.children.filter((o) => o.name === 'led-lens');
+
+test('fallback lights come with a strip that glows with them', () => {
+  const { root, roof } = tentScene();
+  const leds = createLedFixtures(root, config.leds);
+  const lenses = lensesOf(roof);
+  expect(lenses).toHaveLength(config.leds.fallback.length);
+  expect(lenses[0].userData.overlay).toBe(true);
+
+  leds.set(1);
+  expect(lenses[0].material.emissive.getHex()).toBe(new THREE.Color(config.leds.emissive.color).getHex());
+  expect(lenses[0].material.emissiveIntensity).toBe(config.leds.emissive.intensity);
+  expect(roof.material.emissiveIntensity).toBe(1);
+  leds.set(0);
+  expect(lenses[0].material.emissiveIntensity).toBe(0);
+
+  leds.dispose();
+  expect(lensesOf(roof)).toHaveLength(0);
+  expect(roof.children).toHaveLength(0);
+});
+
+test('fixture nodes glow themselves and get no strip', () => {
+  const { root, roof } = tentScene();
+  const strip = new THREE.Mesh(new THREE.BoxGeometry(), new THREE.MeshStandardMaterial());
+  strip.name = config.leds.nodes[0];
+  root.add(strip);
+  const original = strip.material;
+
+  const leds = createLedFixtures(root, config.leds);
+  expect(lensesOf(roof)).toHaveLength(0);
+  leds.set(1);
+  expect(strip.material).not.toBe(original);
+  expect(strip.material.emissiveIntensity).toBe(config.leds.emissive.intensity);
+  leds.dispose();
+  expect(strip.material).toBe(original);
+});
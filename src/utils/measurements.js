@@ -0,0 +1,102 @@
+import * as THREE from "three";
+import { anchorWorldPosition } from "./anchors";
+import { createStore } from "./createStore";
+
+/**
+ * Dimensions and measuring
+ * - src/data/measurements.json lists dimension lines. Each one is either point to point
+ *   (`from` / `to`: { object, anchor }, see anchors.js) or the extent of a node's bounding
+ *   box along `axis` ("x" | "y" | "z"), drawn through the box point `at` ([u, v, w]).
+ * - A `travel` dimension ({ clip }) measures how far `object` has moved from where `clip`
+ *   starts it (e.g. a side wall from collapsed to expanded): the line runs from the part's
+ *   `anchor` (default "center") at the clip's first keyframe to the same point now.
+ * - `offset` ([x, y, z], model units) lifts the line off the part, with extension lines
+ *   back to the measured points. Points are live, so lines follow the clips.
+ * - Lengths are in model units (metres, per glTF), shown in inches or centimetres.
+ * - Sections list the dimensions they show (`"measurements": ["sleeping-length"]`, or `true`
+ *   for all); the Dimensions toggle shows every one.
+ */
+
+const AXES = { x: 0, y: 1, z: 2 };
+
+/** ===== Measurement store =====
+ * { visible, units }: `visible` shows every dimension regardless of section; units "in" | "cm".
+ */
+export const measureStore = createStore({ visible: false, units: "in" });
+
+/** 96", 243.8 cm */
+export function formatLength(metres, units = "in") {
+  if (units === "cm") return `${Number((metres * 100).toFixed(1))} cm`;
+  return `${Number((metres / 0.0254).toFixed(1))}"`;
+}
+
+/** { from, to } anchor specs for a dimension, expanding the `axis` / `at` shorthand */
+export function dimensionEnds(dim) {
+  if (!dim.axis) return { from: dim.from, to: dim.to };
+  const axis = AXES[dim.axis];
+  const start = [...(dim.at || [0.5, 0.5, 0.5])];
+  const end = [...start];
+  start[axis] = 0;
+  end[axis] = 1;
+  return { from: { object: dim.object, anchor: start }, to: { object: dim.object, anchor: end } };
+}
+
+const _rest = new THREE.Vector3();
+const _now = new THREE.Vector3();
+
+// `object` or the nearest ancestor `clip` moves, and its local position at the clip's start
+function travelStart(object, clip) {
+  for (let o = object; o; o = o.parent) {
+    const name = `${THREE.PropertyBinding.sanitizeNodeName(o.name)}.position`;
+    const track = clip.tracks.find((t) => t.name === name);
+    if (track) return { node: o, rest: new THREE.Vector3().fromArray(track.values, 0) };
+  }
+  return null;
+}
+
+function travelWorldPoints(root, dim, clips, outFrom, outTo) {
+  const object = root.getObjectByName(dim.object);
+  const wanted = (dim.travel.clip || "").toLowerCase();
+  const clip = clips.find((c) => c.name.toLowerCase() === wanted);
+  const start = object && clip ? travelStart(object, clip) : null;
+  if (!start?.node.parent) return false;
+  anchorWorldPosition(object, { anchor: dim.anchor ?? "center" }, outTo);
+  // the same point with the moving node back at its start position
+  start.node.parent.localToWorld(_rest.copy(start.rest));
+  start.node.parent.localToWorld(_now.copy(start.node.position));
+  outFrom.copy(outTo).add(_rest).sub(_now);
+  return outFrom.distanceToSquared(outTo) > 1e-8;
+}
+
+/**
+ * World endpoints of a dimension in the current pose of `root`
+ * @param {THREE.AnimationClip[]} [clips] the model's clips, for `travel` dimensions
+ * @returns {boolean} false when a node is missing (the line is hidden)
+ */
+export function dimensionWorldPoints(root, dim, outFrom, outTo, clips = []) {
+  if (dim.travel) return travelWorldPoints(root, dim, clips, outFrom, outTo);
+  const { from, to } = dimensionEnds(dim);
+  const a = root.getObjectByName(from?.object);
+  const b = root.getObjectByName(to?.object);
+  if (!a || !b) return false;
+  anchorWorldPosition(a, from, outFrom);
+  anchorWorldPosition(b, to, outTo);
+  return true;
+}
+
+const _scale = new THREE.Vector3();
+
+/** World scale of `root`; divide world distances by it for model units (the tent may be normalised) */
+export function modelScale(root) {
+  root.updateWorldMatrix(true, false);
+  root.matrixWorld.decompose(new THREE.Vector3(), new THREE.Quaternion(), _scale);
+  return _scale.x || 1;
+}
+
+/** Dimensions a section shows: its `measurements` list (ids), or all for `true` */
+export function sectionDimensions(config, section) {
+  const ids = section?.measurements;
+  if (ids === true) return config.dimensions;
+  if (!Array.isArray(ids)) return [];
+  return config.dimensions.filter((d) => ids.includes(d.id));
+}
@@ -0,0 +1,130 @@
+/**
+ * Persistent model cache (Cache API)
+ * - Stores the DECOMPRESSED model bytes so repeat visits skip both download and inflate.
+ * - Entries are keyed by URL + version from `/models.json` ({ "/Tent3.glb": { "version": "…" } },
+ *   written by scripts/model-versions.js before each build). A new version invalidates older entries for that URL;
+ *   without a manifest entry nothing is cached, since there'd be no way to invalidate it.
+ * - Total size is capped; least-recently-used entries are evicted first. The LRU index
+ *   lives in localStorage next to the cache.
+ */
+const CACHE_NAME = 'madix-models-v1';
+const INDEX_KEY = 'madix-models-index';
+const MANIFEST_URL = `${process.env.PUBLIC_URL || ''}/models.json`;
+export const MODEL_CACHE_MAX_BYTES = 300 * 1024 * 1024;
+
+let manifestPromise = null;
+
+function available() {
+  return typeof caches !== 'undefined' && typeof localStorage !== 'undefined';
+}
+
+function cacheKey(url, version) {
+  const base = new URL(url, window.location.href);
+  base.searchParams.set('model-version', version);
+  return base.toString();
+}
+
+/* =========================
+ * LRU index: key -> { url, size, lastUsed }
+ * ========================= */
+function readIndex() {
+  try {
+    return JSON.parse(localStorage.getItem(INDEX_KEY)) || {};
+  } catch (err) {
+    return {};
+  }
+}
+
+function writeIndex(index) {
+  try {
+    localStorage.setItem(INDEX_KEY, JSON.stringify(index));
+  } catch (err) {
+    console.warn('Model cache index not saved:', err);
+  }
+}
+
+/* =========================
+ * Version manifest
+ * ========================= */
+function loadManifest() {
+  if (!manifestPromise) {
+    manifestPromise = fetch(MANIFEST_URL, { cache: 'no-cache' })
+      .then((res) => (res.ok && (res.headers.get('Content-Type') || '').includes('json') ? res.json() : {}))
+      .catch(() => ({}));
+  }
+  return manifestPromise;
+}
+
+/** Deployed version of `url`, or null when the manifest doesn't list it */
+export async function getModelVersion(url) {
+  if (!available()) return null;
+  const manifest = await loadManifest();
+  const path = new URL(url, window.location.href).pathname;
+  return manifest[path]?.version || null;
+}
+
+/* =========================
+ * Read / write
+ * ========================= */
+export async function readCachedModel(url, version) {
+  if (!available() || !version) return null;
+  try {
+    const cache = await caches.open(CACHE_NAME);
+    const key = cacheKey(url, version);
+    const response = await cache.match(key);
+    if (!response) return null;
+    const bytes = new Uint8Array(await response.arrayBuffer());
+    const index = readIndex();
+    index[key] = { url, size: bytes.byteLength, lastUsed: Date.now() };
+    writeIndex(index);
+    console.log(`Using persisted model: ${url} (${version})`);
+    return bytes;
+  } catch (err) {
+    console.warn('Model cache read failed:', err);
+    return null;
+  }
+}
+
+export async function storeCachedModel(url, version, bytes, maxBytes = MODEL_CACHE_MAX_BYTES) {
+  if (!available() || !version || bytes.byteLength > maxBytes) return;
+  try {
+    const cache = await caches.open(CACHE_NAME);
+    const key = cacheKey(url, version);
+    const index = readIndex();
+
+    // Drop entries the cache no longer has (cleared by the browser) and older versions of this URL
+    const keys = new Set((await cache.keys()).map((req) => req.url));
+    for (const [k, meta] of Object.entries(index)) {
+      if (!keys.has(k) || (meta.url === url && k !== key)) {
+        await cache.delete(k);
+        delete index[k];
+      }
+    }
+
+    // Evict least-recently-used until the new entry fits
+    let total = Object.values(index).reduce((sum, meta) => sum + meta.size, 0);
+    const byAge = Object.entries(index).sort((a, b) => a[1].lastUsed - b[1].lastUsed);
+    for (const [k, meta] of byAge) {
+      if (total + bytes.byteLength <= maxBytes) break;
+      await cache.delete(k);
+      delete index[k];
+      total -= meta.size;
+    }
+
+    await cache.put(key, new Response(bytes, {
+      headers: { 'Content-Type': 'model/gltf-binary', 'Content-Length': String(bytes.byteLength) },
+    }));
+    index[key] = { url, size: bytes.byteLength, lastUsed: Date.now() };
+    writeIndex(index);
+  } catch (err) {
+    // Quota errors etc. just mean the next visit downloads again
+    console.warn('Model cache write failed:', err);
+  }
+}
+
+/** Remove every persisted model (e.g. from the console when debugging a kiosk) */
+export async function clearModelCache() {
+  if (!available()) return;
+  await caches.delete(CACHE_NAME);
+  localStorage.removeItem(INDEX_KEY);
+}
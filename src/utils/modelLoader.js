@@ -0,0 +1,241 @@
+import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
+import * as pako from 'pako';
+import { getDRACOLoader, preloadDRACO } from './dracoLoader';
+import { getModelVersion, readCachedModel, storeCachedModel } from './modelCache';
+
+/**
+ * Model loader (the one way to load GLB/GLTF assets)
+ * - Negotiates a format: tries `${url}.br`, `${url}.gz`, then `${url}` (order configurable),
+ *   skipping variants the server doesn't have or the browser can't decode.
+ * - Decompresses with native DecompressionStream when available, pako otherwise
+ *   (brotli is native-only). Payloads are sniffed, so a server that already applied
+ *   Content-Encoding still works.
+ * - Decoded bytes are persisted per model version (see modelCache.js), so repeat visits
+ *   go straight to parsing.
+ * - One cache entry per URL: status, result, error and progress are shared by every
+ *   consumer, and `promise` is what Suspense waits on.
+ */
+export const DEFAULT_VARIANTS = ['br', 'gz', ''];
+
+// Share of the overall bar each stage covers (download dominates on slow links)
+const STAGE_RANGES = {
+  download: [0, 80],
+  decompress: [80, 90],
+  parse: [90, 100],
+  done: [100, 100],
+};
+
+export function makeProgress(stage, loaded = 0, total = 0) {
+  const [from, to] = STAGE_RANGES[stage];
+  const fraction = total > 0 ? Math.min(1, loaded / total) : 0;
+  return { stage, loaded, total, percent: Math.round(from + (to - from) * fraction) };
+}
+
+/* =========================
+ * Format detection
+ * ========================= */
+const isGzip = (b) => b[0] === 0x1f && b[1] === 0x8b;
+const isGLB = (b) => b[0] === 0x67 && b[1] === 0x6c && b[2] === 0x54 && b[3] === 0x46; // "glTF"
+const isGLTFJson = (b) => b[0] === 0x7b; // "{"
+
+function supportsNative(format) {
+  if (typeof DecompressionStream === 'undefined') return false;
+  try {
+    new DecompressionStream(format);
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+async function nativeDecompress(bytes, format) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream(format));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+async function gunzip(bytes) {
+  if (supportsNative('gzip')) return nativeDecompress(bytes, 'gzip');
+  return pako.inflate(bytes);
+}
+
+function variantUrl(url, variant) {
+  return variant ? `${url}.${variant}` : url;
+}
+
+function canDecode(variant) {
+  return variant !== 'br' || supportsNative('brotli');
+}
+
+/* =========================
+ * Download with progress
+ * ========================= */
+async function readWithProgress(response, onChunk) {
+  // Content-Length is the on-the-wire size; with transfer compression the body is larger,
+  // in which case the total is treated as unknown once it's exceeded.
+  const headerTotal = Number(response.headers.get('Content-Length')) || 0;
+  if (!response.body || !response.body.getReader) {
+    const buffer = await response.arrayBuffer();
+    onChunk(buffer.byteLength, buffer.byteLength);
+    return new Uint8Array(buffer);
+  }
+
+  const reader = response.body.getReader();
+  const chunks = [];
+  let loaded = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+    loaded += value.byteLength;
+    onChunk(loaded, headerTotal >= loaded ? headerTotal : 0);
+  }
+
+  const data = new Uint8Array(loaded);
+  let offset = 0;
+  for (const chunk of chunks) {
+    data.set(chunk, offset);
+    offset += chunk.byteLength;
+  }
+  return data;
+}
+
+/** Fetch one variant; resolves to decoded GLB/GLTF bytes, or null if it isn't usable */
+async function fetchVariant(url, variant, onProgress) {
+  const response = await fetch(variantUrl(url, variant));
+  // SPA fallbacks answer unknown paths with index.html
+  if (!response.ok || (response.headers.get('Content-Type') || '').includes('text/html')) return null;
+
+  let lastPercent = -1;
+  let bytes = await readWithProgress(response, (loaded, total) => {
+    const next = makeProgress('download', loaded, total);
+    if (next.percent !== lastPercent) {
+      lastPercent = next.percent;
+      onProgress(next);
+    }
+  });
+
+  if (isGzip(bytes)) {
+    onProgress(makeProgress('decompress'));
+    // Let the stage label paint before a (possibly synchronous) inflate blocks the thread
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    bytes = await gunzip(bytes);
+  } else if (variant === 'br' && !isGLB(bytes) && !isGLTFJson(bytes)) {
+    onProgress(makeProgress('decompress'));
+    bytes = await nativeDecompress(bytes, 'brotli');
+  }
+
+  return isGLB(bytes) || isGLTFJson(bytes) ? bytes : null;
+}
+
+function parseGLTF(bytes, resourcePath) {
+  const loader = new GLTFLoader();
+  // Shared DRACO loader (local decoder, worker pool) for compressed geometry
+  loader.setDRACOLoader(getDRACOLoader());
+  const buffer = bytes.byteOffset === 0 && bytes.byteLength === bytes.buffer.byteLength
+    ? bytes.buffer
+    : bytes.slice().buffer;
+  return new Promise((resolve, reject) => loader.parse(buffer, resourcePath, resolve, reject));
+}
+
+function resourcePathOf(url) {
+  return url.slice(0, url.lastIndexOf('/') + 1);
+}
+
+/**
+ * Load a model, trying each variant in order.
+ * @param {string} url base URL, e.g. "/Tent3.glb"
+ * @param {{ variants?: string[], onProgress?: Function, persist?: boolean }} options
+ * @returns {Promise<{ gltf: object, url: string }>}
+ */
+export async function loadModel(url, { variants = DEFAULT_VARIANTS, onProgress = () => {}, persist = true } = {}) {
+  preloadDRACO();
+  const errors = [];
+
+  // Persisted copy of the deployed version?
+  const version = persist ? await getModelVersion(url) : null;
+  const cached = version ? await readCachedModel(url, version) : null;
+  if (cached) {
+    try {
+      onProgress(makeProgress('parse'));
+      const gltf = await parseGLTF(cached, resourcePathOf(url));
+      onProgress(makeProgress('done'));
+      return { gltf, url };
+    } catch (err) {
+      console.warn(`Persisted copy of ${url} failed to parse, downloading again:`, err);
+    }
+  }
+
+  for (const variant of variants) {
+    if (!canDecode(variant)) continue;
+    const candidate = variantUrl(url, variant);
+    try {
+      const bytes = await fetchVariant(url, variant, onProgress);
+      if (!bytes) continue;
+      onProgress(makeProgress('parse'));
+      if (version) storeCachedModel(url, version, bytes);
+      const gltf = await parseGLTF(bytes, resourcePathOf(candidate));
+      console.log(`Loaded ${candidate} with ${gltf.animations?.length || 0} animations`);
+      onProgress(makeProgress('done'));
+      return { gltf, url: candidate };
+    } catch (err) {
+      console.warn(`Failed to load ${candidate}:`, err);
+      errors.push(err);
+    }
+  }
+
+  throw errors[errors.length - 1] || new Error(`No loadable variant of ${url} (tried ${variants.map((v) => variantUrl(url, v)).join(', ')})`);
+}
+
+/* =========================
+ * Shared per-URL cache (hooks + Suspense)
+ * ========================= */
+const modelCache = new Map();
+
+/** Cache entry for `url`, starting the load on first use */
+export function getModelEntry(url, options = {}) {
+  const key = `${url}|${(options.variants || DEFAULT_VARIANTS).join(',')}`;
+  let entry = modelCache.get(key);
+  if (entry) return entry;
+
+  const listeners = new Set();
+  let snapshot = null;
+  // entry fields change in place; `get` hands out a new snapshot only after a change
+  const update = (patch) => {
+    Object.assign(entry, patch);
+    snapshot = null;
+    listeners.forEach((fn) => fn());
+  };
+  entry = {
+    status: 'pending',
+    gltf: null,
+    error: null,
+    url: null,
+    progress: makeProgress('download'),
+    subscribe(fn) {
+      listeners.add(fn);
+      return () => listeners.delete(fn);
+    },
+    /** { status, gltf, error, url, progress }, stable between changes (useSyncExternalStore) */
+    get() {
+      if (!snapshot) {
+        const { status, gltf, error, url: resolved, progress } = entry;
+        snapshot = { status, gltf, error, url: resolved, progress };
+      }
+      return snapshot;
+    },
+  };
+  entry.promise = loadModel(url, {
+    ...options,
+    onProgress: (progress) => update({ progress }),
+  }).then(
+    ({ gltf, url: resolved }) => update({ status: 'done', gltf, url: resolved }),
+    (error) => update({ status: 'error', error })
+  );
+  modelCache.set(key, entry);
+  return entry;
+}
+
+/** Start loading ahead of time (e.g. on hover or on idle) */
+export function preloadModel(url, options) {
+  return getModelEntry(url, options).promise;
+}
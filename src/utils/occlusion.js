@@ -0,0 +1,93 @@
+import * as THREE from "three";
+import { anchorWorldPosition } from "./anchors";
+
+/**
+ * Occlusion tests for annotation anchors
+ * - Raycasts from the camera to the anchor against the loaded scene; hits on the target
+ *   itself, hidden objects and see-through materials don't count.
+ * - "reroute" (default): when the anchor is hidden, the nearest visible point of the target's
+ *   bounding box (in screen space) is used instead; "fade": report it as occluded.
+ *   Either way `occluded` is true when no visible point exists. `false` disables testing.
+ * - Results are cached per key and refreshed every `interval` ms, so raycasting stays cheap;
+ *   rerouted anchors are local to the target and keep following it in between.
+ */
+
+const SEE_THROUGH_OPACITY = 0.6;
+
+// Box points tried when rerouting, nearest-on-screen first wins
+const REROUTE_ANCHORS = [
+  "center", "top", "bottom", "left", "right", "front", "back",
+  ...[0.1, 0.9].flatMap((u) => [0.1, 0.9].flatMap((v) => [0.1, 0.9].map((w) => [u, v, w]))),
+];
+
+function isWithin(object, ancestor) {
+  for (let o = object; o; o = o.parent) if (o === ancestor) return true;
+  return false;
+}
+
+function isShown(object) {
+  for (let o = object; o; o = o.parent) if (!o.visible) return false;
+  const materials = Array.isArray(object.material) ? object.material : [object.material];
+  return materials.some((m) => m && m.visible !== false && (!m.transparent || m.opacity >= SEE_THROUGH_OPACITY));
+}
+
+export function createOcclusionTester({ interval = 120, epsilon = 0.02 } = {}) {
+  const raycaster = new THREE.Raycaster();
+  const results = new Map(); // key -> { at, occluded, anchor }
+  const origin = new THREE.Vector3();
+  const dir = new THREE.Vector3();
+  const point = new THREE.Vector3();
+  const ndc = new THREE.Vector3();
+
+  function blocked(camera, root, object, target) {
+    camera.getWorldPosition(origin);
+    dir.subVectors(target, origin);
+    const dist = dir.length();
+    if (dist < 1e-6) return false;
+    raycaster.set(origin, dir.divideScalar(dist));
+    raycaster.near = camera.near;
+    raycaster.far = dist - epsilon;
+    return raycaster.intersectObject(root, true).some((hit) => !isWithin(hit.object, object) && isShown(hit.object));
+  }
+
+  function reroute(camera, root, object, anchor) {
+    anchorWorldPosition(object, anchor, point);
+    const wanted = point.project(camera).clone();
+    let best = null;
+    let bestDist = Infinity;
+    for (const candidate of REROUTE_ANCHORS) {
+      const spec = { anchor: candidate, offset: anchor.offset };
+      anchorWorldPosition(object, spec, point);
+      ndc.copy(point).project(camera);
+      const d = Math.hypot(ndc.x - wanted.x, ndc.y - wanted.y);
+      if (d >= bestDist || Math.abs(ndc.z) > 1) continue;
+      if (!blocked(camera, root, object, point)) {
+        best = spec;
+        bestDist = d;
+      }
+    }
+    return best;
+  }
+
+  return {
+    /**
+     * @param {string} key stable id (annotation id)
+     * @param {{ camera, root, object, anchor?: object, mode?: "reroute"|"fade"|false }} opts
+     * @returns {{ occluded: boolean, anchor: object }} anchor spec to draw at this frame
+     */
+    update(key, { camera, root, object, anchor = {}, mode = "reroute" }, now = performance.now()) {
+      if (!mode || !root) return { occluded: false, anchor };
+      const cached = results.get(key);
+      if (cached && now - cached.at < interval) return cached;
+
+      let result = { at: now, occluded: false, anchor };
+      if (blocked(camera, root, object, anchorWorldPosition(object, anchor, point))) {
+        const visible = mode === "reroute" ? reroute(camera, root, object, anchor) : null;
+        result = visible ? { at: now, occluded: false, anchor: visible } : { at: now, occluded: true, anchor };
+      }
+      results.set(key, result);
+      return result;
+    },
+    reset() { results.clear(); },
+  };
+}
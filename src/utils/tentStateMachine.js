@@ -0,0 +1,120 @@
+import { EASINGS } from "./easing";
+
+/**
+ * Tent state machine
+ * - Named tent states (closed, canopy-up, door-open, ...) map logical clip names to clip times;
+ *   poses passed to goTo/set are keyed by resolved clip name.
+ * - Every update sends a FULL pose (all state clips) so no clip is left disabled or stale.
+ * - `goTo` tweens from the live pose to any target pose; `set` applies immediately, or
+ *   retargets the running tween so scrolling during a transition never snaps.
+ */
+const STATE_MS_PER_UNIT = 900; // tween length for a full 0→1 clip change
+const STATE_MIN_MS = 200;
+const STATE_MAX_MS = 1200;
+const STATE_EPS = 0.02; // below this a pose change is applied immediately
+
+export function createTentStateMachine(animator) {
+  const state = {
+    states: {},
+    resolve: (name) => name,
+    current: new Map(), // clip -> t (last value sent)
+    tween: null,        // { from: Map, to: Map, start, ms, raf }
+  };
+
+  const clipsOf = () => {
+    const clips = new Set();
+    Object.values(state.states).forEach((def) => Object.keys(def).forEach((k) => clips.add(k)));
+    return [...clips];
+  };
+
+  // State def (logical clip names) -> pose keyed by resolved clip name
+  const resolvePose = (def) => {
+    const out = {};
+    Object.entries(def).forEach(([logical, t]) => {
+      const name = state.resolve(logical);
+      if (name) out[name] = t;
+    });
+    return out;
+  };
+
+  const toMap = (target) => new Map(Object.entries(typeof target === "string" ? api.pose(target) : target));
+
+  const send = (pose) => {
+    const entries = [...pose].map(([name, t]) => ({ name, t }));
+    if (entries.length) animator.scrub(entries, true);
+    state.current = new Map(pose);
+  };
+
+  const distance = (a, b) => {
+    let max = 0;
+    b.forEach((t, name) => { max = Math.max(max, Math.abs(t - (a.has(name) ? a.get(name) : t))); });
+    return max;
+  };
+
+  const stopTween = () => {
+    if (state.tween?.raf) cancelAnimationFrame(state.tween.raf);
+    state.tween = null;
+  };
+
+  const runTween = () => {
+    const tw = state.tween;
+    if (!tw) return;
+    const p = Math.min(1, (performance.now() - tw.start) / tw.ms);
+    const e = EASINGS.easeInOut(p);
+    const pose = new Map();
+    tw.to.forEach((to, name) => {
+      const from = tw.from.has(name) ? tw.from.get(name) : to;
+      pose.set(name, from + (to - from) * e);
+    });
+    send(pose);
+    if (p < 1) tw.raf = requestAnimationFrame(runTween);
+    else state.tween = null;
+  };
+
+  const api = {
+    configure({ states, resolve }) {
+      state.states = states || {};
+      state.resolve = resolve || ((name) => name);
+    },
+
+    /** Full pose (resolved clip name -> t) for a named state, with optional overrides */
+    pose(name, overrides = {}) {
+      const base = state.states[name];
+      if (name && !base) console.warn(`Unknown tent state "${name}"`);
+      const zero = {};
+      clipsOf().forEach((clip) => { zero[clip] = 0; });
+      return { ...resolvePose(zero), ...resolvePose(base || {}), ...overrides };
+    },
+
+    /** Tween to a pose (or state name); duration scales with the largest clip change */
+    goTo(target, { ms } = {}) {
+      const to = toMap(target);
+      const delta = distance(state.current, to);
+      if (delta <= STATE_EPS) { stopTween(); send(to); return; }
+      const duration = ms ?? Math.min(STATE_MAX_MS, Math.max(STATE_MIN_MS, delta * STATE_MS_PER_UNIT));
+      stopTween();
+      state.tween = { from: new Map(state.current), to, start: performance.now(), ms: duration, raf: 0 };
+      state.tween.raf = requestAnimationFrame(runTween);
+    },
+
+    /** Apply a pose now, unless a transition is running (then it becomes the new end point) */
+    set(target) {
+      const to = toMap(target);
+      if (state.tween) { state.tween.to = to; return; }
+      send(to);
+    },
+
+    /** Largest clip difference between the live pose and a target */
+    distanceTo(target) {
+      return distance(state.current, toMap(target));
+    },
+
+    get transitioning() { return !!state.tween; },
+
+    reset() {
+      stopTween();
+      state.current = new Map();
+    },
+  };
+  return api;
+}
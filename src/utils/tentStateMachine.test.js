@@ -0,0 +1,89 @@
+import { createTentStateMachine } from './tentStateMachine';
+
+const STATES = {
+  closed: { roof: 0, door: 0 },
+  open: { roof: 1, door: 0 },
+  'door-open': { roof: 1, door: 1 },
+};
+
+function setup() {
+  const animator = { scrub: jest.fn() };
+  const machine = createTentStateMachine(animator);
+  machine.configure({ states: STATES, resolve: (name) => `Clip_${name}` });
+  const lastPose = () => Object.fromEntries(animator.scrub.mock.calls.at(-1)[0].map(({ name, t }) => [name, t]));
+  return { animator, machine, lastPose };
+}
+
+beforeEach(() => jest.useFakeTimers());
+afterEach(() => jest.useRealTimers());
+
+test('poses list every state clip under its resolved name', () => {
+  const { machine } = setup();
+  expect(machine.pose('open')).toEqual({ Clip_roof: 1, Clip_door: 0 });
+  expect(machine.pose('open', { Clip_door: 0.5 })).toEqual({ Clip_roof: 1, Clip_door: 0.5 });
+});
+
+test('set applies a full pose at once', () => {
+  const { animator, machine, lastPose } = setup();
+  machine.set('door-open');
+  expect(animator.scrub).toHaveBeenCalledTimes(1);
+  expect(lastPose()).toEqual({ Clip_roof: 1, Clip_door: 1 });
+  expect(machine.transitioning).toBe(false);
+  expect(machine.distanceTo('door-open')).toBe(0);
+});
+
+test('goTo tweens from the live pose and lands on the target', () => {
+  const { machine, lastPose } = setup();
+  machine.set('closed');
+  machine.goTo('open');
+  expect(machine.transitioning).toBe(true);
+
+  jest.advanceTimersByTime(450);
+  const midway = lastPose().Clip_roof;
+  expect(midway).toBeGreaterThan(0);
+  expect(midway).toBeLessThan(1);
+
+  jest.advanceTimersByTime(1000);
+  expect(machine.transitioning).toBe(false);
+  expect(lastPose()).toEqual({ Clip_roof: 1, Clip_door: 0 });
+});
+
+test('set during a transition retargets it instead of snapping', () => {
+  const { animator, machine, lastPose } = setup();
+  machine.set('closed');
+  machine.goTo('open');
+  jest.advanceTimersByTime(100);
+  const calls = animator.scrub.mock.calls.length;
+
+  machine.set('door-open');
+  expect(animator.scrub).toHaveBeenCalledTimes(calls);
+  expect(machine.transitioning).toBe(true);
+
+  jest.advanceTimersByTime(2000);
+  expect(machine.transitioning).toBe(false);
+  expect(lastPose()).toEqual({ Clip_roof: 1, Clip_door: 1 });
+});
+
+test('small changes are applied without a tween', () => {
+  const { machine, lastPose } = setup();
+  machine.set('closed');
+  machine.goTo({ Clip_roof: 0.01, Clip_door: 0 });
+  expect(machine.transitioning).toBe(false);
+  expect(lastPose()).toEqual({ Clip_roof: 0.01, Clip_door: 0 });
+});
+
+test('reset stops the tween and forgets the live pose', () => {
+  const { animator, machine } = setup();
+  machine.set('closed');
+  machine.goTo('open');
+  jest.advanceTimersByTime(100);
+  machine.reset();
+  expect(machine.transitioning).toBe(false);
+
+  const calls = animator.scrub.mock.calls.length;
+  jest.advanceTimersByTime(2000);
+  expect(animator.scrub).toHaveBeenCalledTimes(calls);
+  // nothing is live after a reset, so the next goTo applies at once
+  machine.goTo('open');
+  expect(machine.transitioning).toBe(false);
+});
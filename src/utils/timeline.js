@@ -0,0 +1,138 @@
+/**
+ * Timeline runner
+ * - Plays keyframed camera poses and clip tweens together on one shared clock (ms).
+ * - Camera poses: [{ position, target, moveDuration, holdDuration }] (seconds, like the manifest).
+ * - Clip tweens: [{ clip, startTime, duration, from, to }] (ms).
+ * - Or a spline camera path (see cameraPath.js) spread over `pathDuration` (seconds); its
+ *   poses are reported with `exact: true` so the rig follows them instead of smoothing.
+ * - Supports play / pause / resume / seek / reverse; scroll-locked timelines never run
+ *   their own clock and are driven through setProgress(0..1) instead.
+ */
+
+/* =========================
+ * Track evaluation
+ * ========================= */
+function cameraTrackLength(poses) {
+  return poses.reduce((sum, seg) => sum + (seg.moveDuration + seg.holdDuration) * 1000, 0);
+}
+
+function clipTrackLength(clips) {
+  return clips.reduce((max, anim) => Math.max(max, anim.startTime + anim.duration), 0);
+}
+
+// Pose segment active at `time` (ms); past the end the last pose holds
+function evalCamera(poses, time) {
+  let tUsed = 0;
+  for (let k = 0; k < poses.length; k++) {
+    const seg = poses[k];
+    const segLen = (seg.moveDuration + seg.holdDuration) * 1000;
+    if (time < tUsed + segLen) {
+      const moving = time - tUsed <= seg.moveDuration * 1000;
+      return { index: k, pose: seg, moving };
+    }
+    tUsed += segLen;
+  }
+  const last = poses[poses.length - 1];
+  return last ? { index: poses.length - 1, pose: last, moving: false } : null;
+}
+
+function evalClips(clips, time) {
+  return clips.map((anim) => {
+    const local = time - anim.startTime;
+    if (local <= 0) return { name: anim.clip, t: anim.from };
+    if (local >= anim.duration) return { name: anim.clip, t: anim.to };
+    return { name: anim.clip, t: anim.from + (anim.to - anim.from) * (local / anim.duration) };
+  });
+}
+
+/**
+ * @param {{ poses?: Array, path?: object, pathDuration?: number, clips?: Array,
+ *           onCamera?: Function, onClips?: Function, onComplete?: Function }} opts
+ */
+export function createTimeline({ poses = [], path = null, pathDuration = 0, clips = [], onCamera, onClips, onComplete } = {}) {
+  const pathLength = path ? pathDuration * 1000 : 0;
+  const duration = Math.max(cameraTrackLength(poses), pathLength, clipTrackLength(clips));
+  const state = { time: 0, direction: 1, playing: false, finished: false, raf: 0, last: 0, lastCameraIndex: -1 };
+
+  const apply = () => {
+    if (poses.length && onCamera) {
+      const cam = evalCamera(poses, state.time);
+      if (cam) {
+        onCamera(cam.pose, { moving: cam.moving, index: cam.index, direction: state.direction });
+        state.lastCameraIndex = cam.index;
+      }
+    }
+    if (path && onCamera) {
+      const pose = path.evaluate(pathLength > 0 ? Math.min(1, state.time / pathLength) : 1);
+      if (pose) onCamera(pose, { moving: true, exact: true, direction: state.direction });
+    }
+    if (clips.length && onClips) onClips(evalClips(clips, state.time));
+  };
+
+  const step = (now) => {
+    if (!state.playing) return;
+    const dt = now - state.last;
+    state.last = now;
+    state.time = Math.min(duration, Math.max(0, state.time + dt * state.direction));
+    apply();
+    const done = state.direction > 0 ? state.time >= duration : state.time <= 0;
+    if (done) {
+      state.playing = false;
+      state.finished = true;
+      state.raf = 0;
+      onComplete?.(state.direction);
+      return;
+    }
+    state.raf = requestAnimationFrame(step);
+  };
+
+  const run = () => {
+    if (state.playing || duration <= 0) return;
+    state.playing = true;
+    state.finished = false;
+    state.last = performance.now();
+    state.raf = requestAnimationFrame(step);
+  };
+
+  return {
+    /** Start from the beginning (or from the end when playing backwards) */
+    play({ reverse = false } = {}) {
+      this.pause();
+      state.direction = reverse ? -1 : 1;
+      state.time = reverse ? duration : 0;
+      apply();
+      run();
+    },
+    pause() {
+      state.playing = false;
+      state.finished = false;
+      if (state.raf) cancelAnimationFrame(state.raf);
+      state.raf = 0;
+    },
+    resume() { run(); },
+    /** Jump to `time` (ms) and apply that frame immediately */
+    seek(time) {
+      state.time = Math.min(duration, Math.max(0, time));
+      apply();
+    },
+    /**
+     * Flip playback direction, continuing from the current time. A finished timeline plays
+     * back; a paused one stays paused until resume().
+     */
+    reverse() {
+      state.direction = -state.direction;
+      if (state.finished) run();
+    },
+    /** Scroll-locked drive: progress 0..1 maps onto the whole timeline */
+    setProgress(p) {
+      const next = Math.min(1, Math.max(0, p)) * duration;
+      state.direction = next >= state.time ? 1 : -1;
+      this.seek(next);
+    },
+    stop() { this.pause(); },
+    get time() { return state.time; },
+    get duration() { return duration; },
+    get playing() { return state.playing; },
+    get direction() { return state.direction; },
+  };
+}
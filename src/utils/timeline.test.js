@@ -0,0 +1,145 @@
+import { createTimeline } from './timeline';
+
+const POSES = [
+  { position: [0, 0, 5], target: [0, 0, 0], moveDuration: 1, holdDuration: 1 },
+  { position: [5, 0, 0], target: [0, 0, 0], moveDuration: 1, holdDuration: 0 },
+];
+const CLIPS = [{ clip: 'Roof', startTime: 0, duration: 2000, from: 0, to: 1 }];
+
+function setup(opts = {}) {
+  const onCamera = jest.fn();
+  const onClips = jest.fn();
+  const onComplete = jest.fn();
+  const timeline = createTimeline({ poses: POSES, clips: CLIPS, onCamera, onClips, onComplete, ...opts });
+  const lastClip = () => onClips.mock.calls.at(-1)[0][0].t;
+  const lastCamera = () => onCamera.mock.calls.at(-1);
+  return { timeline, onCamera, onClips, onComplete, lastClip, lastCamera };
+}
+
+beforeEach(() => jest.useFakeTimers());
+afterEach(() => jest.useRealTimers());
+
+test('duration covers the longest track', () => {
+  expect(setup().timeline.duration).toBe(3000);
+  expect(setup({ clips: [{ ...CLIPS[0], duration: 5000 }] }).timeline.duration).toBe(5000);
+});
+
+test('seek applies that frame at once and clamps to the timeline', () => {
+  const { timeline, lastClip, lastCamera } = setup();
+  timeline.seek(500);
+  expect(lastClip()).toBeCloseTo(0.25);
+  expect(lastCamera()[1]).toMatchObject({ index: 0, moving: true });
+
+  timeline.seek(1500);
+  expect(lastCamera()[1]).toMatchObject({ index: 0, moving: false });
+
+  timeline.seek(2500);
+  expect(lastCamera()[0]).toBe(POSES[1]);
+
+  timeline.seek(99999);
+  expect(timeline.time).toBe(3000);
+  expect(lastClip()).toBe(1);
+  timeline.seek(-10);
+  expect(timeline.time).toBe(0);
+  expect(lastClip()).toBe(0);
+});
+
+test('plays to the end on its own clock', () => {
+  const { timeline, onComplete, lastClip } = setup();
+  timeline.play();
+  expect(timeline.playing).toBe(true);
+  jest.advanceTimersByTime(4000);
+  expect(timeline.playing).toBe(false);
+  expect(timeline.time).toBe(3000);
+  expect(lastClip()).toBe(1);
+  expect(onComplete).toHaveBeenCalledWith(1);
+});
+
+test('reverse continues backwards from the current time', () => {
+  const { timeline, onComplete, lastClip } = setup();
+  timeline.play();
+  jest.advanceTimersByTime(1000);
+  timeline.reverse();
+  expect(timeline.direction).toBe(-1);
+  const turnedAt = timeline.time;
+
+  jest.advanceTimersByTime(500);
+  expect(timeline.time).toBeLessThan(turnedAt);
+  jest.advanceTimersByTime(2000);
+  expect(timeline.time).toBe(0);
+  expect(lastClip()).toBe(0);
+  expect(onComplete).toHaveBeenCalledWith(-1);
+});
+
+test('reverse restarts a finished timeline', () => {
+  const { timeline } = setup();
+  timeline.play();
+  jest.advanceTimersByTime(4000);
+  timeline.reverse();
+  expect(timeline.playing).toBe(true);
+  jest.advanceTimersByTime(4000);
+  expect(timeline.time).toBe(0);
+});
+
+test('reverse keeps a paused timeline paused until resume', () => {
+  const { timeline } = setup();
+  timeline.play();
+  jest.advanceTimersByTime(1000);
+  timeline.pause();
+  const pausedAt = timeline.time;
+
+  timeline.reverse();
+  expect(timeline.playing).toBe(false);
+  expect(timeline.direction).toBe(-1);
+  jest.advanceTimersByTime(500);
+  expect(timeline.time).toBe(pausedAt);
+
+  timeline.resume();
+  jest.advanceTimersByTime(500);
+  expect(timeline.time).toBeLessThan(pausedAt);
+  timeline.stop();
+});
+
+test('reverse does not start a timeline that never played', () => {
+  const { timeline } = setup();
+  timeline.reverse();
+  jest.advanceTimersByTime(1000);
+  expect(timeline.playing).toBe(false);
+  expect(timeline.time).toBe(0);
+});
+
+test('play({ reverse: true }) starts from the end', () => {
+  const { timeline, lastClip } = setup();
+  timeline.play({ reverse: true });
+  expect(timeline.time).toBe(3000);
+  expect(lastClip()).toBe(1);
+  expect(timeline.direction).toBe(-1);
+  timeline.stop();
+});
+
+test('setProgress maps 0..1 onto the timeline without running the clock', () => {
+  const { timeline, lastClip } = setup();
+  timeline.setProgress(0.5);
+  expect(timeline.time).toBe(1500);
+  expect(lastClip()).toBeCloseTo(0.75);
+  expect(timeline.direction).toBe(1);
+  expect(timeline.playing).toBe(false);
+
+  timeline.setProgress(0.25);
+  expect(timeline.time).toBe(750);
+  expect(timeline.direction).toBe(-1);
+
+  timeline.setProgress(2);
+  expect(timeline.time).toBe(3000);
+  jest.advanceTimersByTime(1000);
+  expect(timeline.time).toBe(3000);
+});
+
+test('a path camera is evaluated by fraction and reported as exact', () => {
+  const path = { evaluate: jest.fn((f) => ({ position: [f, 0, 0], target: [0, 0, 0] })) };
+  const { timeline, lastCamera } = setup({ poses: [], clips: [], path, pathDuration: 2 });
+  expect(timeline.duration).toBe(2000);
+  timeline.seek(500);
+  expect(path.evaluate).toHaveBeenLastCalledWith(0.25);
+  expect(lastCamera()[1]).toMatchObject({ exact: true, moving: true });
+});
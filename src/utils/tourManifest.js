@@ -0,0 +1,146 @@
+import * as THREE from "three";
+import { createCameraPath, toPose } from "./cameraPath";
+import { EASINGS } from "./easing";
+
+/**
+ * Tour manifest compiler
+ * - Turns the data-only section manifest (src/data/tourManifest.json) into the
+ *   runtime section defs consumed by ScrollSections.
+ * - Clip names go through `resolve` (with manifest aliases), camera poses become
+ *   Vector3s, map/when specs become functions and enter/exit specs call effects.
+ */
+
+/* =========================
+ * Map curves: progress s (0..1) -> clip time t (0..1)
+ * ========================= */
+const CURVE_PRESETS = {
+  linear: { from: 0, to: 1 },
+  reverse: { from: 1, to: 0 },
+};
+
+export function makeCurve(spec = "linear") {
+  const def = typeof spec === "string" ? CURVE_PRESETS[spec] : spec;
+  if (!def) {
+    console.warn(`Unknown map curve "${spec}", falling back to linear`);
+    return (s) => s;
+  }
+  const { from = 0, to = 1, start = 0, end = 1, ease = "linear" } = def;
+  const easeFn = EASINGS[ease] || EASINGS.linear;
+  const span = end - start || 1;
+  return (s) => {
+    const local = THREE.MathUtils.clamp((s - start) / span, 0, 1);
+    return Math.max(0, from + (to - from) * easeFn(local));
+  };
+}
+
+/* =========================
+ * Snap conditions: { gte, lte, gt, lt } on section progress
+ * ========================= */
+export function makeCondition(spec) {
+  if (!spec) return null;
+  return (s) =>
+    (spec.gte === undefined || s >= spec.gte) &&
+    (spec.lte === undefined || s <= spec.lte) &&
+    (spec.gt === undefined || s > spec.gt) &&
+    (spec.lt === undefined || s < spec.lt);
+}
+
+/* =========================
+ * Camera specs
+ * ========================= */
+// Cutaway plane spec: `offset` is a number or a map curve over section progress
+function compileCut(cut = {}) {
+  const offset = typeof cut.offset === "number" || cut.offset === undefined ? () => cut.offset ?? 0.5 : makeCurve(cut.offset);
+  return { axis: cut.axis || "x", flip: !!cut.flip, offset };
+}
+
+function compileCamera(camera) {
+  if (!camera) return null;
+  // "cutaway" is a fixed pose that also slices the model (see utils/cutaway.js)
+  if (camera.mode === "fixed" || camera.mode === "cutaway") {
+    const pose = toPose(camera);
+    const { fast = 2.0, slow = 2.0 } = typeof camera.duration === "number"
+      ? { fast: camera.duration, slow: camera.duration }
+      : camera.duration || {};
+    return {
+      ...camera,
+      getPose: () => ({ position: pose.position.clone(), target: pose.target.clone() }),
+      baseDuration: (_, isFast) => (isFast ? fast : slow),
+      cut: camera.mode === "cutaway" ? compileCut(camera.cut) : null,
+    };
+  }
+  if (camera.mode === "timeline") {
+    return { ...camera, poses: (camera.poses || []).map(toPose) };
+  }
+  if (camera.mode === "path") {
+    return { ...camera, path: createCameraPath(camera) };
+  }
+  return { ...camera };
+}
+
+/* =========================
+ * Clip aliases: manifest `clips` maps a logical name to candidate clip names
+ * ========================= */
+export function makeClipResolver(manifest, resolve) {
+  const aliases = manifest.clips || {};
+  return (name) => {
+    if (!name) return null;
+    const candidates = aliases[name] || [name];
+    for (const c of candidates) {
+      const hit = resolve(c);
+      if (hit) return hit;
+    }
+    return null;
+  };
+}
+
+/* =========================
+ * Enter/exit effects: { effectName: arg } -> effects[effectName](arg)
+ * ========================= */
+function compileEffects(spec, effects) {
+  if (!spec) return () => {};
+  const calls = Object.entries(spec).filter(([name]) => {
+    if (effects[name]) return true;
+    console.warn(`Unknown section effect "${name}"`);
+    return false;
+  });
+  return () => calls.forEach(([name, arg]) => effects[name](arg));
+}
+
+/**
+ * Compile every manifest section into a runtime def.
+ * @param {object} manifest parsed tour manifest
+ * @param {{ resolve: (name: string) => string|null, effects: object }} utils
+ */
+export function compileSections(manifest, { resolve, effects = {} }) {
+  const clip = makeClipResolver(manifest, resolve);
+
+  return (manifest.sections || []).map((section, index) => ({
+    id: section.id ?? String(index + 1),
+    index: index + 1,
+    label: section.label || section.id,
+    height: section.height || "120vh",
+    state: section.state ?? null,
+    exclusive: section.exclusive !== false,
+    actions: (section.actions || []).map((act) => ({
+      ...act,
+      clip: clip(act.clip),
+      map: act.mode === "scrub" ? makeCurve(act.map) : undefined,
+      when: makeCondition(act.when),
+    })),
+    clipTimeline: section.clipTimeline
+      ? section.clipTimeline.map((anim) => ({ ...anim, clip: clip(anim.clip) })).filter((anim) => anim.clip)
+      : null,
+    timeline: {
+      scrollLocked: section.camera?.mode === "path" && section.camera.drive !== "time",
+      reverseFromBelow: false,
+      ...(section.timeline || {}),
+    },
+    onEnter: compileEffects(section.onEnter, effects),
+    onUpdate: () => {},
+    onExit: compileEffects(section.onExit, effects),
+    camera: compileCamera(section.camera),
+    explode: section.explode ? makeCurve(section.explode) : null,
+    config: section,
+  }));
+}
@@ -0,0 +1,258 @@
+import * as THREE from "three";
+import { createStore } from "./createStore";
+
+/**
+ * Weather effects
+ * - src/data/weather.json defines the particle effects (rain, snow, wind-blown debris) and
+ *   presets that mix them (`"rain": 1`), set the wind (m/s, world axes) and whether snow
+ *   builds up on the roof (`"accumulation": 1`).
+ * - Each effect is one THREE.Points draw call animated entirely in its vertex shader: per
+ *   frame only uniforms change. Density fades by drawing fewer of the particles.
+ * - Particles wrap inside a box around `area.center` (`radius` across, `height` tall);
+ *   phones and narrow viewports draw `mobileScale` of each effect's count.
+ * - Accumulation: the `accumulation.nodes` meshes (the roof shell) get a snow layer that
+ *   shares their geometry, so it follows the clips. It only covers faces pointing up
+ *   (`slope`, world normal y), grows at `rate` per second while snowing and melts at `melt`.
+ * - A section picks a preset with `"weather": "storm"`; a preset picked by the user overrides
+ *   sections until they go back to "Auto".
+ */
+
+/** ===== Weather store =====
+ * { section, user }: preset ids from the current section and from the user (null = none).
+ */
+export const weatherStore = createStore({ section: null, user: null });
+
+/** Preset id in effect: the user's pick, else the section's, else the default */
+export function activeWeather(config, { section, user } = weatherStore.get()) {
+  return [user, section, config.default].find((id) => id && config.presets[id]);
+}
+
+/** Whether to draw the reduced particle counts (touch devices, narrow viewports) */
+export function prefersLightWeather() {
+  return typeof window !== "undefined" && !!window.matchMedia?.("(pointer: coarse), (max-width: 768px)").matches;
+}
+
+/* =========================
+ * Particles
+ * ========================= */
+const SHAPES = { flake: 0, streak: 1, leaf: 2 };
+
+const PARTICLE_VERTEX = /* glsl */ `
+  uniform float uTime;
+  uniform float uSpeed;
+  uniform float uSway;
+  uniform float uSize;
+  uniform float uHeight;
+  uniform float uRadius;
+  uniform float uViewport;
+  uniform vec3 uDrift;
+  uniform vec3 uWind;
+  attribute float aRandom;
+  varying float vRandom;
+  varying float vAngle;
+
+  void main() {
+    float fall = uSpeed * (0.8 + 0.4 * aRandom);
+    vec3 p = position + uDrift;
+    p.y = mod(position.y - uTime * fall, uHeight);
+    p.x += sin(uTime * 1.3 + aRandom * 6.2832) * uSway;
+    p.z += cos(uTime * 1.1 + aRandom * 4.7) * uSway;
+    p.xz = mod(p.xz + uRadius, 2.0 * uRadius) - uRadius;
+
+    vec4 mv = modelViewMatrix * vec4(p, 1.0);
+    gl_Position = projectionMatrix * mv;
+    gl_PointSize = uSize * projectionMatrix[1][1] * 0.5 * uViewport / max(-mv.z, 0.01);
+
+    // screen-space direction of travel, so streaks lean with the wind
+    vec4 ahead = projectionMatrix * modelViewMatrix * vec4(p + normalize(uWind - vec3(0.0, fall, 0.0)) * 0.1, 1.0);
+    vec2 d = ahead.xy / ahead.w - gl_Position.xy / gl_Position.w;
+    vAngle = atan(d.x * projectionMatrix[1][1] / projectionMatrix[0][0], d.y);
+    vRandom = aRandom;
+  }
+`;
+
+const PARTICLE_FRAGMENT = /* glsl */ `
+  uniform vec3 uColor;
+  uniform float uOpacity;
+  uniform float uTime;
+  varying float vRandom;
+  varying float vAngle;
+
+  void main() {
+    vec2 c = gl_PointCoord - 0.5;
+    float alpha;
+  #if SHAPE == 1
+    float s = sin(vAngle), k = cos(vAngle);
+    c.y = -c.y; // point coords run down the screen
+    c = vec2(k * c.x - s * c.y, s * c.x + k * c.y);
+    alpha = (1.0 - smoothstep(0.01, 0.04, abs(c.x))) * (1.0 - smoothstep(0.3, 0.5, abs(c.y)));
+  #elif SHAPE == 2
+    float a = uTime * (2.0 + 4.0 * vRandom) + vRandom * 6.2832;
+    float s = sin(a), k = cos(a);
+    c = vec2(k * c.x - s * c.y, s * c.x + k * c.y);
+    alpha = 1.0 - smoothstep(0.8, 1.0, length(c / vec2(0.5, 0.2)));
+  #else
+    alpha = 1.0 - smoothstep(0.2, 0.5, length(c));
+  #endif
+    if (alpha < 0.01) discard;
+    gl_FragColor = vec4(uColor * (0.75 + 0.25 * vRandom), alpha * uOpacity);
+    #include <tonemapping_fragment>
+    #include <colorspace_fragment>
+  }
+`;
+
+/**
+ * @param {object} effect one of `effects` in weather.json
+ * @param {{ radius, height }} area
+ * @param {number} [scale] fraction of `effect.count` to create
+ * @returns {{ object: THREE.Points, update({ amount, time, drift, wind, viewport, brightness }), dispose() }}
+ */
+export function createParticleEffect(effect, { radius, height }, scale = 1) {
+  const count = Math.max(1, Math.round(effect.count * scale));
+  const positions = new Float32Array(count * 3);
+  const randoms = new Float32Array(count);
+  for (let i = 0; i < count; i++) {
+    positions[i * 3] = (Math.random() * 2 - 1) * radius;
+    positions[i * 3 + 1] = Math.random() * height;
+    positions[i * 3 + 2] = (Math.random() * 2 - 1) * radius;
+    randoms[i] = Math.random();
+  }
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute("position", new THREE.BufferAttribute(positions, 3));
+  geometry.setAttribute("aRandom", new THREE.BufferAttribute(randoms, 1));
+
+  const color = new THREE.Color(effect.color || "#ffffff");
+  const material = new THREE.ShaderMaterial({
+    defines: { SHAPE: SHAPES[effect.shape] ?? SHAPES.flake },
+    uniforms: {
+      uTime: { value: 0 },
+      uSpeed: { value: effect.speed ?? 1 },
+      uSway: { value: effect.sway ?? 0 },
+      uSize: { value: effect.size ?? 0.05 },
+      uHeight: { value: height },
+      uRadius: { value: radius },
+      uViewport: { value: 1 },
+      uDrift: { value: new THREE.Vector3() },
+      uWind: { value: new THREE.Vector3() },
+      uColor: { value: color.clone() },
+      uOpacity: { value: effect.opacity ?? 1 },
+    },
+    vertexShader: PARTICLE_VERTEX,
+    fragmentShader: PARTICLE_FRAGMENT,
+    transparent: true,
+    depthWrite: false,
+  });
+
+  const points = new THREE.Points(geometry, material);
+  points.frustumCulled = false; // positions only exist in the shader
+  points.raycast = () => {};
+  points.visible = false;
+
+  return {
+    object: points,
+    update({ amount, time, drift, wind, viewport, brightness = 1 }) {
+      const drawn = Math.floor(count * THREE.MathUtils.clamp(amount, 0, 1));
+      points.visible = drawn > 0;
+      geometry.setDrawRange(0, drawn);
+      const u = material.uniforms;
+      u.uTime.value = time;
+      u.uDrift.value.copy(drift);
+      u.uWind.value.copy(wind);
+      u.uViewport.value = viewport;
+      u.uColor.value.copy(color).multiplyScalar(brightness);
+    },
+    dispose() {
+      points.removeFromParent();
+      geometry.dispose();
+      material.dispose();
+    },
+  };
+}
+
+/* =========================
+ * Snow accumulation
+ * ========================= */
+function snowMaterial({ color = "#ffffff", thickness = 0.04, slope = 0.55 }) {
+  const uniforms = { uSnowAmount: { value: 0 }, uSnowThickness: { value: thickness }, uSnowSlope: { value: slope } };
+  const material = new THREE.MeshStandardMaterial({
+    color,
+    roughness: 0.95,
+    polygonOffset: true,
+    polygonOffsetFactor: -2,
+  });
+  material.onBeforeCompile = (shader) => {
+    Object.assign(shader.uniforms, uniforms);
+    shader.vertexShader = shader.vertexShader
+      .replace("#include <common>", "#include <common>\nuniform float uSnowAmount;\nuniform float uSnowThickness;\nvarying float vSnowUp;\nvarying vec2 vSnowPos;")
+      .replace(
+        "#include <begin_vertex>",
+        `#include <begin_vertex>
+        vSnowUp = normalize(mat3(modelMatrix) * objectNormal).y;
+        transformed += objectNormal * uSnowThickness * uSnowAmount * max(vSnowUp, 0.0);
+        vSnowPos = (modelMatrix * vec4(transformed, 1.0)).xz;`
+      );
+    shader.fragmentShader = shader.fragmentShader
+      .replace(
+        "#include <common>",
+        `#include <common>
+        uniform float uSnowAmount;
+        uniform float uSnowSlope;
+        varying float vSnowUp;
+        varying vec2 vSnowPos;
+        float snowNoise(vec2 p) {
+          vec2 i = floor(p), f = fract(p);
+          f = f * f * (3.0 - 2.0 * f);
+          float a = fract(sin(dot(i, vec2(127.1, 311.7))) * 43758.5453);
+          float b = fract(sin(dot(i + vec2(1.0, 0.0), vec2(127.1, 311.7))) * 43758.5453);
+          float c = fract(sin(dot(i + vec2(0.0, 1.0), vec2(127.1, 311.7))) * 43758.5453);
+          float d = fract(sin(dot(i + vec2(1.0, 1.0), vec2(127.1, 311.7))) * 43758.5453);
+          return mix(mix(a, b, f.x), mix(c, d, f.x), f.y);
+        }`
+      )
+      .replace(
+        "void main() {",
+        `void main() {
+        // patchy at first, full cover on up-facing faces at uSnowAmount = 1
+        float snowUp = smoothstep(uSnowSlope, uSnowSlope + 0.2, vSnowUp);
+        if (snowUp * uSnowAmount < 0.05 + 0.9 * snowNoise(vSnowPos * 8.0)) discard;`
+      );
+  };
+  return { material, uniforms };
+}
+
+/**
+ * @param {THREE.Object3D} root the model group
+ * @param {object} accumulation `accumulation` from weather.json
+ * @returns {{ set(amount), dispose() }} `set(0..1)` grows or melts the layer
+ */
+export function createSnowLayer(root, accumulation = {}) {
+  const { material, uniforms } = snowMaterial(accumulation);
+  const layers = [];
+  (accumulation.nodes || []).forEach((name) => {
+    const node = root.getObjectByName(name);
+    if (!node) return console.warn(`Weather: no node "${name}" to cover with snow`);
+    node.traverse((o) => {
+      if (!o.isMesh || o.isSkinnedMesh || o.userData.overlay) return;
+      layers.push({ parent: o, geometry: o.geometry });
+    });
+  });
+  const meshes = layers.map(({ parent, geometry }) => {
+    const mesh = new THREE.Mesh(geometry, material);
+    mesh.userData.overlay = true; // clipped with the part, but never capped (utils/cutaway.js)
+    mesh.raycast = () => {};
+    mesh.visible = false;
+    parent.add(mesh);
+    return mesh;
+  });
+
+  return {
+    set(amount) {
+      uniforms.uSnowAmount.value = amount;
+      meshes.forEach((mesh) => { mesh.visible = amount > 0.01; });
+    },
+    dispose() {
+      meshes.forEach((mesh) => mesh.removeFromParent());
+      material.dispose();
+    },
+  };
+}